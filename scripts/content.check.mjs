@@ -0,0 +1,27 @@
+// npm run content:check
+//
+// Lints everything under src/app/content (see src/app/lib/content.check.js)
+// and prints one `file:line` diagnostic per problem. Exits with 1 when
+// there are errors; warnings alone don't fail the run.
+import { checkContent } from '../src/app/lib/content.check.js';
+
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+const paint = (code, text) => (useColor ? `\x1b[${code}m${text}\x1b[0m` : text);
+
+const diagnostics = checkContent();
+
+for (const { file, line, severity, rule, message } of diagnostics) {
+  const label = severity === 'error' ? paint(31, 'error') : paint(33, 'warning');
+  console.log(`${file}:${line}  ${label}  ${message}  ${paint(2, rule)}`);
+}
+
+const errors = diagnostics.filter((diagnostic) => diagnostic.severity === 'error').length;
+const warnings = diagnostics.length - errors;
+
+if (diagnostics.length === 0) {
+  console.log('Content check passed.');
+} else {
+  console.log(`\n${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+}
+
+process.exitCode = errors > 0 ? 1 : 0;
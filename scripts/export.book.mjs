@@ -0,0 +1,64 @@
+// npm run export -- [<level>[/<topic>] ...] [--out <dir>]
+//
+// Writes each book (a whole level, or one topic) to <dir> (default
+// `exports/`) as `<id>.html`, the print-ready page to save as PDF, and
+// `<id>.epub`. With no books named, every level is exported. When
+// CHROME_PATH points at Chrome or Chromium, a `<id>.pdf` is printed too.
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { getNavigation } from '../src/app/lib/mark.down.js';
+import { buildEpub, getBook, renderPrintBook } from '../src/app/lib/book.export.js';
+
+let outDir = 'exports';
+const names = [];
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--out') outDir = args[++i] || outDir;
+  else names.push(args[i]);
+}
+outDir = path.resolve(outDir);
+const slugs = names.length > 0 ? names : getNavigation().map((section) => section.id);
+
+const printPdf = (htmlFile, pdfFile) => {
+  execFileSync(process.env.CHROME_PATH, [
+    '--headless',
+    '--disable-gpu',
+    '--no-pdf-header-footer',
+    `--print-to-pdf=${pdfFile}`,
+    pathToFileURL(htmlFile).href,
+  ], { stdio: 'ignore', timeout: 120000 });
+};
+
+fs.mkdirSync(outDir, { recursive: true });
+let failed = 0;
+
+for (const slug of slugs) {
+  const book = getBook(...slug.split('/'));
+  if (!book) {
+    console.error(`No level or topic "${slug}" in the navigation.`);
+    failed++;
+    continue;
+  }
+
+  const base = path.join(outDir, book.id);
+  fs.writeFileSync(`${base}.html`, renderPrintBook(book));
+  fs.writeFileSync(`${base}.epub`, buildEpub(book));
+  const written = [`${book.id}.html`, `${book.id}.epub`];
+
+  if (process.env.CHROME_PATH) {
+    try {
+      printPdf(`${base}.html`, `${base}.pdf`);
+      written.push(`${book.id}.pdf`);
+    } catch (e) {
+      console.error(`Could not print ${book.id}.pdf: ${e.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`${slug}: ${book.chapters.length} chapter${book.chapters.length === 1 ? '' : 's'} → ${written.join(', ')}`);
+}
+
+console.log(`\nWrote to ${path.relative(process.cwd(), outDir) || '.'}`);
+process.exitCode = failed > 0 ? 1 : 0;
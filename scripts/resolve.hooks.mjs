@@ -0,0 +1,37 @@
+// Lets plain Node load the app's modules the way the Next.js bundler does:
+// `@/` maps to src/, extensionless imports find their .js file, and .js
+// files under src/ are ES modules. Load with `node --import`.
+import { register } from 'node:module';
+import { existsSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const src = new URL('../src/', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  const mapped = specifier.startsWith('@/') ? new URL(specifier.slice(2), src).href : specifier;
+
+  if (/^(\.{1,2}\/|file:)/.test(mapped) && context.parentURL) {
+    const url = new URL(mapped, context.parentURL);
+
+    if (url.href.startsWith(src.href)) {
+      const file = fileURLToPath(url);
+      const target = existsSync(file)
+        ? url.href
+        : existsSync(`${file}.js`)
+          ? pathToFileURL(`${file}.js`).href
+          : null;
+
+      if (target?.endsWith('.js')) {
+        return { url: target, format: 'module', shortCircuit: true };
+      }
+    }
+  }
+
+  return nextResolve(mapped, context);
+}
+
+// Imported with --import this file runs on the main thread and registers
+// itself as the hooks module; as the hooks module it only exports resolve.
+if (!import.meta.url.endsWith('?hooks')) {
+  register(`${import.meta.url}?hooks`);
+}
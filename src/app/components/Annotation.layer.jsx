@@ -0,0 +1,319 @@
+"use client";
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Highlighter, MessageSquarePlus, Trash2, X } from "lucide-react";
+import { describeQuote, locateQuote } from "../lib/text.quote";
+import {
+  useAnnotations,
+  addHighlight,
+  updateHighlight,
+  removeHighlight,
+} from "../scripts/Annotations.store";
+import {
+  readArticle,
+  rangeToOffsets,
+  offsetsToRange,
+  headingBefore,
+  paintHighlights,
+  clearHighlights,
+  highlightAt,
+} from "../scripts/Annotation.ranges";
+
+// Wait for the selection to settle before offering to highlight it.
+const SELECTION_DELAY = 250;
+const MENU_WIDTH = 288;
+
+// Where a menu for `range` goes, relative to the article.
+const placeBelow = (container, range) => {
+  const box = container.getBoundingClientRect();
+  const rect = range.getBoundingClientRect();
+  return {
+    top: rect.bottom - box.top + 8,
+    left: Math.max(0, Math.min(rect.left - box.left, box.width - MENU_WIDTH)),
+  };
+};
+
+const NoteEditor = ({ highlight, onClose }) => {
+  const [draft, setDraft] = useState(highlight.note);
+
+  const handleSave = () => {
+    updateHighlight(highlight.id, { note: draft.trim() });
+    onClose();
+  };
+
+  return (
+    <>
+      <div className="flex items-start justify-between gap-2 mb-2">
+        <p className="text-xs text-doc-muted line-clamp-2">
+          &ldquo;{highlight.exact}&rdquo;
+        </p>
+        <button
+          onClick={onClose}
+          aria-label="Close"
+          className="p-0.5 rounded text-doc-muted hover:text-doc-heading"
+        >
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) handleSave();
+        }}
+        rows={3}
+        autoFocus
+        placeholder="Private note (only stored in this browser)"
+        aria-label="Note"
+        className="w-full rounded border border-doc-line bg-doc-surface-muted px-2 py-1.5 text-sm text-doc-body outline-none focus:border-doc-accent-line"
+      />
+      <div className="flex items-center justify-between gap-2 mt-2">
+        <button
+          onClick={() => {
+            removeHighlight(highlight.id);
+            onClose();
+          }}
+          className="flex items-center gap-1.5 px-2 py-1 text-xs text-doc-muted hover:text-red-600 dark:hover:text-red-400 rounded transition-colors"
+        >
+          <Trash2 className="w-3.5 h-3.5" />
+          Remove highlight
+        </button>
+        <button
+          onClick={handleSave}
+          className="px-3 py-1 text-xs font-medium rounded bg-doc-accent text-white hover:opacity-90 transition-opacity"
+        >
+          Save note
+        </button>
+      </div>
+    </>
+  );
+};
+
+/**
+ * Highlights and notes for one topic, drawn over the article in
+ * `containerRef`. Selecting text offers to highlight it; clicking a
+ * highlight opens its note. Highlights are found again by their quoted text
+ * (lib/text.quote.js) every time the article changes, and re-saved when the
+ * passage they point at was edited.
+ */
+export default function AnnotationLayer({ containerRef, topicSlug }) {
+  const annotations = useAnnotations();
+  const [menu, setMenu] = useState(null);
+  const [missing, setMissing] = useState(0);
+  const menuRef = useRef(null);
+
+  const highlights = useMemo(
+    () => annotations.highlights.filter((highlight) => highlight.slug === topicSlug),
+    [annotations.highlights, topicSlug]
+  );
+
+  // Anchor and draw; again whenever the article's DOM changes (code tabs,
+  // playground output, client-side navigation).
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    let frame = null;
+
+    const draw = () => {
+      frame = null;
+      const article = readArticle(container);
+      const entries = [];
+
+      for (const highlight of highlights) {
+        const found = locateQuote(article.text, highlight);
+        if (!found) continue;
+
+        if (article.text.slice(found.start, found.end) !== highlight.exact) {
+          updateHighlight(
+            highlight.id,
+            describeQuote(article.text, found.start, found.end)
+          );
+        }
+        entries.push({
+          id: highlight.id,
+          range: offsetsToRange(article, found),
+          hasNote: Boolean(highlight.note),
+        });
+      }
+
+      paintHighlights(entries);
+      setMissing(highlights.length - entries.length);
+    };
+
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(draw);
+    };
+
+    schedule();
+    const observer = new MutationObserver(schedule);
+    observer.observe(container, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+    });
+
+    return () => {
+      observer.disconnect();
+      if (frame !== null) cancelAnimationFrame(frame);
+      clearHighlights();
+    };
+  }, [containerRef, highlights]);
+
+  // Offer a toolbar under any selection inside the article.
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    let timer = null;
+
+    const handleSelectionChange = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const selection = document.getSelection();
+        const range = selection?.rangeCount ? selection.getRangeAt(0) : null;
+        const inArticle =
+          range &&
+          !range.collapsed &&
+          container.contains(range.commonAncestorContainer) &&
+          !menuRef.current?.contains(range.commonAncestorContainer);
+
+        if (!inArticle) {
+          setMenu((prev) => (prev?.type === "selection" ? null : prev));
+          return;
+        }
+
+        const article = readArticle(container);
+        let { start, end } = rangeToOffsets(article, range);
+        while (start < end && /\s/.test(article.text[start])) start++;
+        while (end > start && /\s/.test(article.text[end - 1])) end--;
+        if (start === end) return;
+
+        setMenu({
+          type: "selection",
+          quote: describeQuote(article.text, start, end),
+          headingId: headingBefore(container, range.startContainer),
+          ...placeBelow(container, range),
+        });
+      }, SELECTION_DELAY);
+    };
+
+    document.addEventListener("selectionchange", handleSelectionChange);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener("selectionchange", handleSelectionChange);
+    };
+  }, [containerRef]);
+
+  // Clicking a highlight opens its note.
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const handleClick = (e) => {
+      if (!document.getSelection()?.isCollapsed) return;
+      if (e.target.closest("a, button, input, textarea, [data-annotations]")) return;
+
+      const hit = highlightAt(e.clientX, e.clientY);
+      if (hit) {
+        setMenu({ type: "note", id: hit[0], ...placeBelow(container, hit[1]) });
+      }
+    };
+
+    container.addEventListener("click", handleClick);
+    return () => container.removeEventListener("click", handleClick);
+  }, [containerRef]);
+
+  // Escape or a click elsewhere closes the open menu.
+  useEffect(() => {
+    if (!menu) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") setMenu(null);
+    };
+    const handlePointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setMenu(null);
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("pointerdown", handlePointerDown);
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("pointerdown", handlePointerDown);
+    };
+  }, [menu]);
+
+  const handleHighlight = (withNote) => {
+    const id = addHighlight({
+      slug: topicSlug,
+      headingId: menu.headingId,
+      quote: menu.quote,
+    });
+    document.getSelection()?.removeAllRanges();
+    setMenu(withNote ? { type: "note", id, top: menu.top, left: menu.left } : null);
+  };
+
+  const noteTarget =
+    menu?.type === "note" && highlights.find((highlight) => highlight.id === menu.id);
+
+  return (
+    <div data-annotations="off" className="print:hidden">
+      {menu?.type === "selection" && (
+        <div
+          ref={menuRef}
+          role="toolbar"
+          aria-label="Highlight selection"
+          // Keep the selection alive while a button is pressed.
+          onMouseDown={(e) => e.preventDefault()}
+          className="absolute z-20 flex items-center gap-1 p-1 rounded-lg border border-doc-line bg-doc-surface shadow-lg"
+          style={{ top: menu.top, left: menu.left }}
+        >
+          <button
+            onClick={() => handleHighlight(false)}
+            className="flex items-center gap-1.5 px-2 py-1 text-xs text-doc-body hover:text-doc-heading hover:bg-doc-surface-muted rounded transition-colors"
+          >
+            <Highlighter className="w-3.5 h-3.5" />
+            Highlight
+          </button>
+          <button
+            onClick={() => handleHighlight(true)}
+            className="flex items-center gap-1.5 px-2 py-1 text-xs text-doc-body hover:text-doc-heading hover:bg-doc-surface-muted rounded transition-colors"
+          >
+            <MessageSquarePlus className="w-3.5 h-3.5" />
+            Add note
+          </button>
+        </div>
+      )}
+
+      {noteTarget && (
+        <div
+          ref={menuRef}
+          role="dialog"
+          aria-label="Highlight note"
+          className="absolute z-20 p-3 rounded-lg border border-doc-line bg-doc-surface shadow-lg"
+          style={{ top: menu.top, left: menu.left, width: MENU_WIDTH }}
+        >
+          <NoteEditor
+            key={noteTarget.id}
+            highlight={noteTarget}
+            onClose={() => setMenu(null)}
+          />
+        </div>
+      )}
+
+      {missing > 0 && (
+        <p className="mt-8 text-xs text-doc-muted">
+          {missing === 1
+            ? "1 of your highlights on this page can't be found."
+            : `${missing} of your highlights on this page can't be found.`}{" "}
+          The passage may have been removed or sit in a code tab that isn&apos;t
+          open.{" "}
+          <button
+            onClick={() => window.dispatchEvent(new Event("bookmarks:open"))}
+            className="underline decoration-doc-line underline-offset-2 hover:text-doc-heading"
+          >
+            Open My bookmarks
+          </button>
+        </p>
+      )}
+    </div>
+  );
+}
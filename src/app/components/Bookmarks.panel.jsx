@@ -0,0 +1,354 @@
+"use client";
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useRouter } from "next/navigation";
+import {
+  Bookmark,
+  Download,
+  FileText,
+  Highlighter,
+  MessageSquare,
+  Trash2,
+  Upload,
+  X,
+} from "lucide-react";
+import {
+  useAnnotations,
+  updateBookmark,
+  removeBookmark,
+  updateHighlight,
+  removeHighlight,
+  exportAnnotations,
+  importAnnotations,
+} from "../scripts/Annotations.store";
+import { revealHighlight } from "../scripts/Annotation.ranges";
+import { useFocusTrap } from "../scripts/Drawer.hooks";
+
+// Bookmarks and highlights grouped by topic, in sidebar order; topics that
+// are no longer in the navigation come last under their slug.
+const groupByTopic = (annotations, navigation) => {
+  const topics = navigation.flatMap((section) =>
+    section.children.map((topic) => ({
+      slug: topic.slug,
+      title: topic.title,
+      level: section.title,
+    }))
+  );
+  const slugs = [
+    ...new Set(
+      [...annotations.bookmarks, ...annotations.highlights].map((entry) => entry.slug)
+    ),
+  ];
+  const order = (slug) => {
+    const index = topics.findIndex((topic) => topic.slug === slug);
+    return index === -1 ? topics.length : index;
+  };
+
+  return slugs
+    .sort((a, b) => order(a) - order(b) || a.localeCompare(b))
+    .map((slug) => ({
+      slug,
+      title: topics.find((topic) => topic.slug === slug)?.title || slug,
+      level: topics.find((topic) => topic.slug === slug)?.level,
+      bookmarks: annotations.bookmarks.filter((entry) => entry.slug === slug),
+      highlights: annotations.highlights.filter((entry) => entry.slug === slug),
+    }));
+};
+
+const NoteField = ({ note, onSave }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(note);
+
+  if (!isEditing) {
+    return (
+      <button
+        onClick={() => {
+          setDraft(note);
+          setIsEditing(true);
+        }}
+        className="flex items-start gap-1.5 mt-1 text-left text-xs text-gray-500 hover:text-black dark:text-gray-400 dark:hover:text-white"
+      >
+        <MessageSquare className="w-3.5 h-3.5 mt-px shrink-0" />
+        {note || "Add a note"}
+      </button>
+    );
+  }
+
+  const save = () => {
+    onSave(draft.trim());
+    setIsEditing(false);
+  };
+
+  return (
+    <div className="mt-1">
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) save();
+          if (e.key === "Escape") {
+            e.stopPropagation();
+            setIsEditing(false);
+          }
+        }}
+        rows={2}
+        autoFocus
+        aria-label="Note"
+        className="w-full rounded border border-gray-300 bg-transparent px-2 py-1 text-sm text-black outline-none focus:border-gray-500 dark:border-gray-600 dark:text-white"
+      />
+      <div className="flex justify-end gap-2 mt-1">
+        <button
+          onClick={() => setIsEditing(false)}
+          className="px-2 py-0.5 text-xs text-gray-500 hover:text-black dark:text-gray-400 dark:hover:text-white"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={save}
+          className="px-2 py-0.5 text-xs font-medium rounded bg-black text-white hover:bg-gray-800 dark:bg-white dark:text-black dark:hover:bg-gray-200"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * "My bookmarks": every bookmarked heading and highlighted passage, with
+ * their notes, across all topics. Opens on the `bookmarks:open` event.
+ * Export downloads everything as JSON; import merges such a file back in.
+ */
+export default function BookmarksPanel({ navigation = [] }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [status, setStatus] = useState(null);
+  const annotations = useAnnotations();
+  const dialogRef = useRef(null);
+  const fileRef = useRef(null);
+  const router = useRouter();
+
+  const close = () => {
+    setIsOpen(false);
+    setStatus(null);
+  };
+
+  useFocusTrap(dialogRef, isOpen, close);
+
+  useEffect(() => {
+    const handleOpen = () => setIsOpen(true);
+    window.addEventListener("bookmarks:open", handleOpen);
+    return () => window.removeEventListener("bookmarks:open", handleOpen);
+  }, []);
+
+  const groups = useMemo(
+    () => groupByTopic(annotations, navigation),
+    [annotations, navigation]
+  );
+
+  const openBookmark = (bookmark) => {
+    close();
+    router.push(`/learn/${bookmark.slug}#${bookmark.headingId}`);
+  };
+
+  const openHighlight = (highlight) => {
+    const path = `/learn/${highlight.slug}`;
+    close();
+    router.push(path);
+    revealHighlight(path, highlight.id);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportAnnotations()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `mongodb-docs-bookmarks-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const added = importAnnotations(await file.text());
+      setStatus({
+        error: false,
+        message: `Imported ${added.bookmarks} bookmark${
+          added.bookmarks === 1 ? "" : "s"
+        } and ${added.highlights} highlight${added.highlights === 1 ? "" : "s"}.`,
+      });
+    } catch (err) {
+      setStatus({ error: true, message: err.message });
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const total = annotations.bookmarks.length + annotations.highlights.length;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-black/50 flex items-start justify-center pt-20"
+      onClick={close}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="bookmarks-panel-title"
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-2xl w-full max-w-2xl mx-4 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-3 px-4 py-3 border-b border-gray-300 dark:border-gray-700">
+          <Bookmark className="w-5 h-5 text-gray-600 dark:text-gray-400 shrink-0" />
+          <h2
+            id="bookmarks-panel-title"
+            className="font-semibold text-black dark:text-white"
+          >
+            My bookmarks
+          </h2>
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {annotations.bookmarks.length} bookmarks ·{" "}
+            {annotations.highlights.length} highlights
+          </span>
+          <div className="ml-auto flex items-center gap-1">
+            <button
+              onClick={handleExport}
+              disabled={total === 0}
+              className="flex items-center gap-1.5 px-2 py-1.5 text-xs text-gray-600 hover:bg-gray-100 disabled:opacity-50 dark:text-gray-400 dark:hover:bg-gray-700 rounded-lg transition-all"
+            >
+              <Download className="w-3.5 h-3.5" />
+              Export
+            </button>
+            <button
+              onClick={() => fileRef.current?.click()}
+              className="flex items-center gap-1.5 px-2 py-1.5 text-xs text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700 rounded-lg transition-all"
+            >
+              <Upload className="w-3.5 h-3.5" />
+              Import
+            </button>
+            <input
+              ref={fileRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              className="hidden"
+            />
+            <button
+              onClick={close}
+              aria-label="Close bookmarks"
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-all"
+            >
+              <X className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+            </button>
+          </div>
+        </div>
+
+        {status && (
+          <p
+            role="status"
+            className={`px-4 py-2 text-sm border-b border-gray-300 dark:border-gray-700 ${
+              status.error
+                ? "text-red-600 dark:text-red-400"
+                : "text-emerald-700 dark:text-emerald-300"
+            }`}
+          >
+            {status.message}
+          </p>
+        )}
+
+        <div className="max-h-[60vh] overflow-y-auto p-4">
+          {groups.length === 0 ? (
+            <div className="text-center py-8">
+              <p className="text-gray-500 dark:text-gray-400">
+                Nothing saved yet.
+              </p>
+              <p className="text-xs text-gray-400 dark:text-gray-500 mt-2">
+                Use the bookmark button next to any heading, or select text in
+                a topic to highlight it and add a note.
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-5">
+              {groups.map((group) => (
+                <section key={group.slug}>
+                  <h3 className="flex items-center gap-2 px-1 pb-1 text-xs text-gray-500 dark:text-gray-400">
+                    <FileText className="w-3.5 h-3.5 shrink-0" />
+                    <span className="font-semibold">{group.title}</span>
+                    {group.level && <span>· {group.level}</span>}
+                  </h3>
+                  <ul className="space-y-1">
+                    {group.bookmarks.map((bookmark) => (
+                      <li
+                        key={bookmark.id}
+                        className="group flex items-start gap-2 px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        <Bookmark className="w-4 h-4 mt-0.5 shrink-0 text-gray-400" />
+                        <div className="flex-1 min-w-0">
+                          <button
+                            onClick={() => openBookmark(bookmark)}
+                            className="text-left text-sm font-medium text-black dark:text-white hover:underline"
+                          >
+                            {bookmark.heading}
+                          </button>
+                          <NoteField
+                            note={bookmark.note}
+                            onSave={(note) => updateBookmark(bookmark.id, { note })}
+                          />
+                        </div>
+                        <button
+                          onClick={() => removeBookmark(bookmark.id)}
+                          aria-label={`Remove bookmark "${bookmark.heading}"`}
+                          className="p-1 rounded text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </li>
+                    ))}
+                    {group.highlights.map((highlight) => (
+                      <li
+                        key={highlight.id}
+                        className="group flex items-start gap-2 px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        <Highlighter className="w-4 h-4 mt-0.5 shrink-0 text-gray-400" />
+                        <div className="flex-1 min-w-0">
+                          <button
+                            onClick={() => openHighlight(highlight)}
+                            className="text-left text-sm text-gray-700 dark:text-gray-300 hover:underline"
+                          >
+                            <mark className="bg-yellow-200 dark:bg-yellow-600/50 text-inherit rounded px-0.5 line-clamp-3">
+                              {highlight.exact}
+                            </mark>
+                          </button>
+                          <NoteField
+                            note={highlight.note}
+                            onSave={(note) => updateHighlight(highlight.id, { note })}
+                          />
+                        </div>
+                        <button
+                          onClick={() => removeHighlight(highlight.id)}
+                          aria-label="Remove highlight"
+                          className="p-1 rounded text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="px-4 py-2 border-t border-gray-300 dark:border-gray-700 text-xs text-gray-500 dark:text-gray-400">
+          Saved in this browser only. Export to keep a copy or move it to
+          another device.
+        </div>
+      </div>
+    </div>
+  );
+}
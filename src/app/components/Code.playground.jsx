@@ -0,0 +1,107 @@
+"use client";
+
+import React, { createContext, useContext, useMemo, useRef } from "react";
+import { RotateCcw, X } from "lucide-react";
+import { createDatabase } from "../lib/mongo.engine";
+import { runShell } from "../scripts/Mongo.shell";
+
+const PlaygroundContext = createContext(null);
+
+// One in-memory database per page, seeded from the topic's `playground`
+// frontmatter. Every Run on the page shares it, like a single mongosh
+// session, until the reader resets it. Key the provider by page so
+// navigating starts a fresh session.
+export function PlaygroundProvider({ seed, children }) {
+  const databaseRef = useRef(null);
+
+  const playground = useMemo(() => {
+    const getDatabase = () => {
+      databaseRef.current ??= createDatabase(seed);
+      return databaseRef.current;
+    };
+
+    return {
+      getDatabase,
+      run: async (code) => {
+        let database;
+        try {
+          database = getDatabase();
+        } catch (error) {
+          return [
+            { kind: "error", text: `Could not load the sample data: ${error.message}` },
+          ];
+        }
+        return runShell(code, database);
+      },
+      reset: () => {
+        databaseRef.current = null;
+      },
+      // A throwaway copy of the sample data, for checking quiz answers
+      // without touching the reader's session. Null on pages without one.
+      createSandbox: () => (seed ? createDatabase(seed) : null),
+    };
+  }, [seed]);
+
+  return (
+    <PlaygroundContext.Provider value={playground}>
+      {children}
+    </PlaygroundContext.Provider>
+  );
+}
+
+export const usePlayground = () => useContext(PlaygroundContext);
+
+const outputStyles = {
+  result: "text-zinc-100",
+  print: "text-zinc-300",
+  error: "text-red-400",
+};
+
+export function PlaygroundOutput({ output, onClose, onReset }) {
+  return (
+    <div className="border-t border-zinc-800 bg-zinc-900 rounded-b-lg">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-zinc-800">
+        <span className="text-xs font-mono text-zinc-400 tracking-wide">
+          Output
+        </span>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={onReset}
+            className="flex items-center gap-1.5 px-2 py-1 text-xs text-zinc-400 hover:text-white rounded transition-colors"
+            title="Restore the page's sample data"
+          >
+            <RotateCcw className="w-3.5 h-3.5" />
+            Reset data
+          </button>
+          <button
+            onClick={onClose}
+            className="p-1 text-zinc-400 hover:text-white rounded transition-colors"
+            aria-label="Close output"
+          >
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      </div>
+      <div
+        className="max-h-80 overflow-auto p-4 space-y-3"
+        role="status"
+        aria-live="polite"
+      >
+        {output.length === 0 ? (
+          <p className="text-sm font-mono text-zinc-500">
+            Done. The snippet didn&apos;t return a value.
+          </p>
+        ) : (
+          output.map((entry, i) => (
+            <pre
+              key={i}
+              className={`m-0 text-sm font-mono leading-relaxed whitespace-pre-wrap break-words ${outputStyles[entry.kind]}`}
+            >
+              {entry.text}
+            </pre>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,311 @@
+"use client";
+
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { useRouter, usePathname } from "next/navigation";
+import {
+  Search,
+  Bookmark,
+  FileText,
+  Hash,
+  SunMoon,
+  Link2,
+  Home,
+  History,
+  CornerDownLeft,
+} from "lucide-react";
+import { loadSearchIndex, fuzzyScore } from "../scripts/Search.context";
+import { toggleTheme } from "../scripts/Theme.store";
+import { useFocusTrap } from "../scripts/Drawer.hooks";
+
+const RECENT_KEY = "recentCommands";
+const MAX_RECENT = 5;
+const MAX_RESULTS = 30;
+
+const typeIcons = {
+  topic: FileText,
+  heading: Hash,
+  action: CornerDownLeft,
+};
+
+const readRecent = () => {
+  try {
+    return JSON.parse(localStorage.getItem(RECENT_KEY)) || [];
+  } catch (e) {
+    console.error("Failed to parse recentCommands:", e);
+    return [];
+  }
+};
+
+const saveRecent = (item) => {
+  const recent = readRecent().filter((entry) => entry.id !== item.id);
+  const { id, type, label, hint, url } = item;
+  localStorage.setItem(
+    RECENT_KEY,
+    JSON.stringify([{ id, type, label, hint, url }, ...recent].slice(0, MAX_RECENT))
+  );
+};
+
+export default function CommandPalette({ navigation = [] }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [headings, setHeadings] = useState([]);
+  const [recent, setRecent] = useState([]);
+  const dialogRef = useRef(null);
+  const listRef = useRef(null);
+  const router = useRouter();
+  const pathname = usePathname();
+
+  const close = () => {
+    setIsOpen(false);
+    setQuery("");
+    setActiveIndex(0);
+  };
+
+  useFocusTrap(dialogRef, isOpen, close);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setIsOpen((prev) => !prev);
+        setQuery("");
+        setActiveIndex(0);
+        setRecent(readRecent());
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen || headings.length > 0) return;
+
+    loadSearchIndex()
+      .then((index) =>
+        setHeadings(
+          index
+            .filter((entry) => entry.heading)
+            .map((entry) => ({
+              id: `heading:${entry.url}`,
+              type: "heading",
+              label: entry.heading,
+              hint: entry.title,
+              url: entry.url,
+            }))
+        )
+      )
+      .catch((err) => console.error("Failed to load headings:", err));
+  }, [isOpen, headings.length]);
+
+  const actions = useMemo(
+    () => [
+      {
+        id: "action:search",
+        type: "action",
+        label: "Search all topics",
+        icon: Search,
+        run: (text) =>
+          window.dispatchEvent(
+            new CustomEvent("search:open", { detail: { query: text } })
+          ),
+      },
+      {
+        id: "action:bookmarks",
+        type: "action",
+        label: "Open my bookmarks",
+        icon: Bookmark,
+        run: () => window.dispatchEvent(new Event("bookmarks:open")),
+      },
+      {
+        id: "action:theme",
+        type: "action",
+        label: "Toggle theme",
+        icon: SunMoon,
+        run: toggleTheme,
+      },
+      {
+        id: "action:copy-link",
+        type: "action",
+        label: "Copy page link",
+        icon: Link2,
+        run: () => navigator.clipboard.writeText(window.location.href),
+      },
+      {
+        id: "action:home",
+        type: "action",
+        label: "Go to home page",
+        icon: Home,
+        url: "/",
+      },
+    ],
+    []
+  );
+
+  const topics = useMemo(
+    () =>
+      navigation.flatMap((section) =>
+        section.children.map((topic) => ({
+          id: `topic:${topic.slug}`,
+          type: "topic",
+          label: topic.title,
+          hint: section.title,
+          url: `/learn/${topic.slug}`,
+        }))
+      ),
+    [navigation]
+  );
+
+  const items = useMemo(() => {
+    if (!query.trim()) {
+      const recentItems = recent.map((item) => ({
+        ...item,
+        ...actions.find((action) => action.id === item.id),
+        isRecent: true,
+      }));
+      return [...recentItems, ...actions, ...topics];
+    }
+
+    return [...actions, ...topics, ...headings]
+      .map((item) => ({
+        item,
+        // Topics outrank a heading that matches equally well.
+        score:
+          Math.max(
+            fuzzyScore(query, item.label),
+            item.hint ? fuzzyScore(query, `${item.hint} ${item.label}`) * 0.5 : 0
+          ) * (item.type === "heading" ? 0.9 : 1),
+      }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+      .map(({ item }) => item);
+  }, [query, recent, actions, topics, headings]);
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-index="${activeIndex}"]`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [activeIndex]);
+
+  const runItem = (item) => {
+    if (!item) return;
+    saveRecent(item);
+    close();
+
+    if (item.run) {
+      item.run(query);
+    } else if (item.url) {
+      router.push(item.url);
+    }
+  };
+
+  const handleInputKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((prev) => (prev + 1) % Math.max(items.length, 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex(
+        (prev) => (prev - 1 + items.length) % Math.max(items.length, 1)
+      );
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      runItem(items[activeIndex]);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-black/50 flex items-start justify-center pt-20"
+      onClick={close}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-2xl w-full max-w-xl mx-4 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-3 px-4 py-3 border-b border-gray-300 dark:border-gray-700">
+          <Search className="w-5 h-5 text-gray-600 dark:text-gray-400 shrink-0" />
+          <input
+            type="text"
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-list"
+            aria-activedescendant={
+              items[activeIndex] ? `command-${activeIndex}` : undefined
+            }
+            placeholder="Jump to a topic, heading or action..."
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setActiveIndex(0);
+            }}
+            onKeyDown={handleInputKeyDown}
+            className="flex-1 outline-none bg-transparent text-black dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
+          />
+          <kbd className="text-xs text-gray-500 dark:text-gray-400 border border-gray-300 dark:border-gray-600 rounded px-1.5 py-0.5">
+            ESC
+          </kbd>
+        </div>
+
+        <ul
+          id="command-palette-list"
+          ref={listRef}
+          role="listbox"
+          className="max-h-96 overflow-y-auto p-2"
+        >
+          {items.length === 0 && (
+            <li className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+              No matches
+            </li>
+          )}
+          {items.map((item, i) => {
+            const Icon = item.isRecent
+              ? History
+              : item.icon || typeIcons[item.type];
+            const isActive = i === activeIndex;
+            const isCurrent = item.url && item.url.split("#")[0] === pathname;
+
+            return (
+              <li
+                key={`${item.id}-${item.isRecent ? "recent" : "item"}`}
+                id={`command-${i}`}
+                data-index={i}
+                role="option"
+                aria-selected={isActive}
+                onMouseMove={() => setActiveIndex(i)}
+                onClick={() => runItem(item)}
+                className={`flex items-center gap-3 px-3 py-2.5 rounded-lg cursor-pointer text-sm ${
+                  isActive
+                    ? "bg-gray-200 text-black dark:bg-gray-700 dark:text-white"
+                    : "text-gray-700 dark:text-gray-300"
+                }`}
+              >
+                <Icon className="w-4 h-4 shrink-0 text-gray-500 dark:text-gray-400" />
+                <span className="truncate">{item.label}</span>
+                {item.hint && (
+                  <span className="ml-auto pl-3 text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {isCurrent ? "This page" : item.hint}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="flex items-center gap-4 px-4 py-2 border-t border-gray-300 dark:border-gray-700 text-xs text-gray-500 dark:text-gray-400">
+          <span>↑↓ to navigate</span>
+          <span>↵ to open</span>
+          <span className="ml-auto">Ctrl/⌘ K to toggle</span>
+        </div>
+      </div>
+    </div>
+  );
+}
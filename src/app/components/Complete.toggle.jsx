@@ -0,0 +1,35 @@
+"use client";
+
+import React from "react";
+import { CheckCircle2, Circle } from "lucide-react";
+import {
+  useProgress,
+  getTopicProgress,
+  setTopicCompleted,
+} from "../scripts/Progress.store";
+
+// Page header "Mark as complete" button below xl; from xl up RightSidebar
+// carries the same toggle.
+export default function CompleteToggle({ topicSlug }) {
+  const progress = useProgress();
+  const { completed } = getTopicProgress(progress, topicSlug);
+
+  return (
+    <button
+      onClick={() => setTopicCompleted(topicSlug, !completed)}
+      aria-pressed={completed}
+      className={`xl:hidden print:hidden flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+        completed
+          ? "bg-black hover:bg-gray-800 text-white dark:bg-white dark:hover:bg-gray-200 dark:text-black"
+          : "border border-doc-line text-doc-body hover:bg-doc-surface-muted"
+      }`}
+    >
+      {completed ? (
+        <CheckCircle2 className="w-4 h-4" />
+      ) : (
+        <Circle className="w-4 h-4" />
+      )}
+      {completed ? "Completed" : "Mark as complete"}
+    </button>
+  );
+}
@@ -0,0 +1,95 @@
+"use client";
+
+import React, { useState, useMemo, useRef } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { ChevronDown, ListTree } from "lucide-react";
+import { extractHeadings } from "../lib/heading.ids";
+import {
+  useFocusTrap,
+  useSwipeToDismiss,
+} from "../scripts/Drawer.hooks";
+
+// Small-screen stand-in for RightSidebar: a collapsible "On this page" list.
+export default function ContentsDropdown({ content }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const panelRef = useRef(null);
+  const headings = useMemo(
+    () => (content ? extractHeadings(content) : []),
+    [content]
+  );
+
+  const close = () => setIsOpen(false);
+
+  useFocusTrap(panelRef, isOpen, close);
+  useSwipeToDismiss(panelRef, isOpen, "up", close);
+
+  if (headings.length === 0) return null;
+
+  const handleHeadingClick = (id) => {
+    close();
+    document.getElementById(id)?.scrollIntoView({
+      behavior: "smooth",
+      block: "start",
+    });
+    history.replaceState(null, "", `#${id}`);
+  };
+
+  return (
+    <div className="xl:hidden print:hidden sticky top-14 lg:top-0 z-20 -mx-4 sm:-mx-8 mb-6 px-4 sm:px-8 bg-doc-surface border-b border-doc-line">
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+        aria-controls="on-this-page"
+        className="w-full flex items-center gap-2 py-3 text-sm font-medium text-doc-heading"
+      >
+        <ListTree className="w-4 h-4" />
+        On this page
+        <motion.span
+          className="ml-auto"
+          animate={{ rotate: isOpen ? 180 : 0 }}
+          transition={{ duration: 0.2 }}
+        >
+          <ChevronDown className="w-4 h-4" />
+        </motion.span>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <>
+            <div
+              className="fixed inset-0 -z-10"
+              onClick={close}
+              aria-hidden="true"
+            />
+            <motion.nav
+              id="on-this-page"
+              ref={panelRef}
+              aria-label="On this page"
+              initial={{ height: 0, opacity: 0 }}
+              animate={{ height: "auto", opacity: 1 }}
+              exit={{ height: 0, opacity: 0 }}
+              transition={{ duration: 0.2 }}
+              className="overflow-hidden"
+            >
+              <ul className="max-h-[60vh] overflow-y-auto pb-3 space-y-0.5">
+                {headings.map((heading) => (
+                  <li key={heading.id}>
+                    <button
+                      onClick={() => handleHeadingClick(heading.id)}
+                      className="w-full text-left py-2 pr-2 rounded-lg text-sm text-doc-body hover:bg-doc-surface-muted"
+                      style={{
+                        paddingLeft: `${0.5 + Math.max(0, heading.level - 2) * 0.75}rem`,
+                      }}
+                    >
+                      {heading.text}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </motion.nav>
+          </>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+"use client";
+
+import React, { useRef, useState } from "react";
+import { BookOpen, ChevronDown, Download, FileText } from "lucide-react";
+import { useFocusTrap } from "../scripts/Drawer.hooks";
+
+// Topic page "Download" button: this topic or its whole level, as a PDF
+// (the print view, which opens the print dialog) or an EPUB file.
+export default function DownloadMenu({ level, topic, levelTitle }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  const close = () => setIsOpen(false);
+
+  useFocusTrap(menuRef, isOpen, close);
+
+  const books = [
+    { label: "This topic", path: `${level}/${topic}` },
+    { label: levelTitle || "Whole level", path: level },
+  ];
+
+  const itemClass =
+    "flex items-center gap-2 w-full px-3 py-2 rounded-md text-sm text-doc-body hover:bg-doc-surface-muted";
+
+  return (
+    <div className="relative print:hidden">
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+        aria-haspopup="menu"
+        className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-doc-line text-sm font-medium text-doc-body hover:bg-doc-surface-muted transition-colors"
+      >
+        <Download className="w-4 h-4" />
+        Download
+        <ChevronDown className="w-3.5 h-3.5" />
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={close} aria-hidden="true" />
+          <div
+            ref={menuRef}
+            role="menu"
+            className="absolute right-0 z-40 mt-2 w-60 p-1.5 rounded-lg border border-doc-line bg-doc-surface shadow-lg"
+          >
+            {books.map(({ label, path }) => (
+              <div key={path} role="group" aria-label={label}>
+                <p className="px-3 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-doc-muted">
+                  {label}
+                </p>
+                <a
+                  role="menuitem"
+                  href={`/export/print/${path}?print`}
+                  target="_blank"
+                  rel="noopener"
+                  onClick={close}
+                  className={itemClass}
+                >
+                  <FileText className="w-4 h-4 shrink-0" />
+                  PDF (print)
+                </a>
+                <a
+                  role="menuitem"
+                  href={`/export/epub/${path}`}
+                  download
+                  onClick={close}
+                  className={itemClass}
+                >
+                  <BookOpen className="w-4 h-4 shrink-0" />
+                  EPUB
+                </a>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 "use client";
 
-import React, { useState, useEffect } from "react";
-import { useRouter } from "next/navigation";
+import React, { useState, useEffect, useRef } from "react";
+import { usePathname, useRouter } from "next/navigation";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   ChevronDown,
@@ -14,224 +14,162 @@ import {
   Cpu,
   Github,
   Loader2,
+  Search,
+  Bookmark,
+  CheckCircle2,
+  CloudCheck,
+  CloudDownload,
+  Menu,
+  History,
+  X,
 } from "lucide-react";
 import { Tooltip } from "./Tooltip.util";
+import ThemeToggle from "./Theme.toggle";
+import { useProgress, summarizeProgress } from "../scripts/Progress.store";
+import { useQuizScores, summarizeTopicScore } from "../scripts/Quiz.store";
+import { useAnnotations } from "../scripts/Annotations.store";
+import {
+  useOffline,
+  refreshLevelStatus,
+  downloadLevel,
+} from "../scripts/Offline.store";
+import {
+  DESKTOP_QUERY,
+  useMediaQuery,
+  useFocusTrap,
+  useSwipeToDismiss,
+  useScrollLock,
+} from "../scripts/Drawer.hooks";
+
+const icons = {
+  BookOpen,
+  Database,
+  Layers,
+  Zap,
+  Cpu,
+};
+
+const levelUrls = (section) =>
+  section.children.map((topic) => `/learn/${topic.slug}`);
+
+// Older versions are served under /learn/<version>/<level>/<topic>.
+const VERSION_PATH = /^\/learn\/(\d+\.\d+)\//;
+const TOPIC_PATH = /^\/learn\/(?:\d+\.\d+\/)?([^/]+\/[^/]+)/;
+
+// Switches the docs to another server version, staying on the same topic
+// when that version has it and otherwise opening the version's first topic.
+const VersionPicker = ({ versions, active, pathname, onChange }) => {
+  const handleChange = (e) => {
+    const target = versions.find((version) => version.id === e.target.value);
+    const prefix = target.current ? "" : `${target.id}/`;
+    const topic = TOPIC_PATH.exec(pathname)?.[1];
+    const slugs = target.navigation.flatMap((section) =>
+      section.children.map((child) => child.slug)
+    );
+    const slug = topic && slugs.includes(`${prefix}${topic}`)
+      ? `${prefix}${topic}`
+      : slugs[0];
+
+    onChange(target.current && !topic ? "/" : `/learn/${slug}`);
+  };
 
-const topicsData = [
-  {
-    id: "basic",
-    title: "Basic Level",
-    icon: BookOpen,
-    children: [
-      {
-        id: "intro",
-        title: "Introduction to MongoDB",
-        slug: "basic/introduction",
-      },
-      {
-        id: "install",
-        title: "Installation and Setup",
-        slug: "basic/installation",
-      },
-      {
-        id: "db-basics",
-        title: "Database and Collection Basics",
-        slug: "basic/database-basics",
-      },
-      { id: "crud", title: "CRUD Operations", slug: "basic/crud-operations" },
-      { id: "data-types", title: "Data Types", slug: "basic/data-types" },
-      { id: "basic-query", title: "Basic Querying", slug: "basic/querying" },
-    ],
-  },
-  {
-    id: "intermediate",
-    title: "Intermediate Level",
-    icon: Database,
-    children: [
-      {
-        id: "adv-query",
-        title: "Advanced Querying",
-        slug: "intermediate/advanced-querying",
-      },
-      { id: "indexes", title: "Indexes", slug: "intermediate/indexes" },
-      {
-        id: "agg-basics",
-        title: "Aggregation Framework Basics",
-        slug: "intermediate/aggregation-basics",
-      },
-      {
-        id: "data-model",
-        title: "Data Modeling",
-        slug: "intermediate/data-modeling",
-      },
-      {
-        id: "transactions",
-        title: "Transactions",
-        slug: "intermediate/transactions",
-      },
-      {
-        id: "replica-basics",
-        title: "Replica Sets Basics",
-        slug: "intermediate/replica-sets",
-      },
-      {
-        id: "perf-opt",
-        title: "Performance Optimization",
-        slug: "intermediate/performance",
-      },
-    ],
-  },
-  {
-    id: "advanced",
-    title: "Advanced Level",
-    icon: Layers,
-    children: [
-      {
-        id: "adv-agg",
-        title: "Advanced Aggregation",
-        slug: "advanced/aggregation",
-      },
-      {
-        id: "adv-index",
-        title: "Advanced Indexing",
-        slug: "advanced/indexing",
-      },
-      { id: "sharding", title: "Sharding", slug: "advanced/sharding" },
-      {
-        id: "schema-patterns",
-        title: "Advanced Schema Design Patterns",
-        slug: "advanced/schema-patterns",
-      },
-      { id: "security", title: "Security", slug: "advanced/security" },
-      {
-        id: "backup",
-        title: "Backup and Restore",
-        slug: "advanced/backup-restore",
-      },
-      {
-        id: "adv-trans",
-        title: "Advanced Transactions",
-        slug: "advanced/transactions",
-      },
-      {
-        id: "change-streams",
-        title: "Change Streams",
-        slug: "advanced/change-streams",
-      },
-    ],
-  },
-  {
-    id: "super-advanced",
-    title: "Super Advanced Level",
-    icon: Zap,
-    children: [
-      {
-        id: "internals",
-        title: "MongoDB Internals",
-        slug: "super-advanced/internals",
-      },
-      {
-        id: "adv-replication",
-        title: "Advanced Replication",
-        slug: "super-advanced/replication",
-      },
-      {
-        id: "adv-sharding",
-        title: "Advanced Sharding Architecture",
-        slug: "super-advanced/sharding-architecture",
-      },
-      {
-        id: "query-opt",
-        title: "Query Optimization Deep Dive",
-        slug: "super-advanced/query-optimization",
-      },
-      {
-        id: "prod-deploy",
-        title: "Production Deployment Architecture",
-        slug: "super-advanced/production",
-      },
-      {
-        id: "monitoring",
-        title: "Monitoring and Diagnostics",
-        slug: "super-advanced/monitoring",
-      },
-      {
-        id: "perf-tuning",
-        title: "Advanced Performance Tuning",
-        slug: "super-advanced/performance-tuning",
-      },
-      {
-        id: "time-series",
-        title: "Time Series Collections",
-        slug: "super-advanced/time-series",
-      },
-      {
-        id: "atlas",
-        title: "Advanced Atlas Features",
-        slug: "super-advanced/atlas",
-      },
-      {
-        id: "data-process",
-        title: "Advanced Data Processing",
-        slug: "super-advanced/data-processing",
-      },
-      {
-        id: "app-patterns",
-        title: "Advanced Application Patterns",
-        slug: "super-advanced/app-patterns",
-      },
-      {
-        id: "migration",
-        title: "Migration and Upgrades",
-        slug: "super-advanced/migration",
-      },
-      {
-        id: "compliance",
-        title: "Compliance and Governance",
-        slug: "super-advanced/compliance",
-      },
-      {
-        id: "cloud-native",
-        title: "Cloud-Native MongoDB",
-        slug: "super-advanced/cloud-native",
-      },
-      {
-        id: "cutting-edge",
-        title: "Cutting-Edge Features",
-        slug: "super-advanced/cutting-edge",
-      },
-    ],
-  },
-  {
-    id: "expert",
-    title: "Expert Level",
-    icon: Cpu,
-    children: [
-      {
-        id: "core-dev",
-        title: "MongoDB Internals Development",
-        slug: "expert/core-development",
-      },
-      {
-        id: "troubleshoot",
-        title: "Advanced Troubleshooting",
-        slug: "expert/troubleshooting",
-      },
-      {
-        id: "custom-solutions",
-        title: "Custom Solutions",
-        slug: "expert/custom-solutions",
-      },
-    ],
-  },
-];
-
-export default function Sidebar() {
+  return (
+    <label className="flex items-center gap-3 px-4 py-2.5 rounded-lg border border-gray-300 text-gray-600 dark:border-gray-700 dark:text-gray-400">
+      <History className="w-4 h-4 shrink-0" />
+      <span className="text-sm">Version</span>
+      <select
+        value={active.id}
+        onChange={handleChange}
+        className="ml-auto bg-transparent text-sm font-medium text-black dark:text-white outline-none cursor-pointer"
+      >
+        {versions.map((version) => (
+          <option
+            key={version.id}
+            value={version.id}
+            className="text-black bg-white dark:text-white dark:bg-gray-900"
+          >
+            MongoDB {version.id}
+            {version.current ? " (current)" : ""}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+// Per-level "download for offline" button; the service worker does the work.
+const LevelDownload = ({ section, level }) => {
+  const { status = "missing", done = 0, total = section.children.length } =
+    level || {};
+  const label =
+    status === "downloading"
+      ? `Downloading ${section.title}: ${done} of ${total} pages`
+      : status === "saved"
+        ? `${section.title} is available offline; download again to refresh`
+        : `Download ${section.title} for offline reading`;
+
+  return (
+    <button
+      onClick={() => downloadLevel(section.id, levelUrls(section))}
+      disabled={status === "downloading"}
+      aria-label={label}
+      title={label}
+      className="shrink-0 p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-all"
+    >
+      {status === "downloading" ? (
+        <Loader2 className="w-4 h-4 text-gray-600 dark:text-gray-400 animate-spin" />
+      ) : status === "saved" ? (
+        <CloudCheck className="w-4 h-4 text-emerald-600 dark:text-emerald-400" />
+      ) : (
+        <CloudDownload className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+      )}
+    </button>
+  );
+};
+
+export default function Sidebar({ navigation = [], versions = [] }) {
   const [expandedSections, setExpandedSections] = useState({});
   const [clickedTopic, setClickedTopic] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [isDrawerOpen, setIsDrawerOpen] = useState(false);
+  const readingProgress = useProgress();
+  const quizScores = useQuizScores();
+  const annotations = useAnnotations();
+  const offline = useOffline();
+  const isDesktop = useMediaQuery(DESKTOP_QUERY);
+  const drawerRef = useRef(null);
   const router = useRouter();
+  const pathname = usePathname();
+
+  // The sidebar lists the version being read; the current one by default.
+  const activeVersion =
+    versions.find((version) => version.id === VERSION_PATH.exec(pathname)?.[1]) ||
+    versions.find((version) => version.current);
+  const sections = activeVersion?.navigation || navigation;
+  const isCurrentVersion = !activeVersion || activeVersion.current;
+
+  // On small screens the sidebar is an off-canvas drawer.
+  const isDrawerActive = isDrawerOpen && !isDesktop;
+  const closeDrawer = () => setIsDrawerOpen(false);
+
+  useFocusTrap(drawerRef, isDrawerActive, closeDrawer);
+  useSwipeToDismiss(drawerRef, isDrawerActive, "left", closeDrawer);
+  useScrollLock(isDrawerActive);
+
+  const overall = summarizeProgress(
+    readingProgress,
+    sections.flatMap((section) => section.children.map((topic) => topic.slug))
+  );
+
+  useEffect(() => {
+    if (!offline.ready) return;
+    refreshLevelStatus(
+      Object.fromEntries(
+        navigation.map((section) => [section.id, levelUrls(section)])
+      )
+    );
+  }, [offline.ready, navigation]);
 
   useEffect(() => {
     const savedExpanded = localStorage.getItem("expandedSections");
@@ -272,6 +210,7 @@ export default function Sidebar() {
   };
 
   const handleTopicClick = (slug, topicId) => {
+    setIsDrawerOpen(false);
     setClickedTopic(topicId);
     localStorage.setItem("clickedTopic", topicId);
     setIsLoading(true);
@@ -299,7 +238,7 @@ export default function Sidebar() {
   };
 
   return (
-    <div className="flex">
+    <div className="flex print:hidden">
       {isLoading && (
         <div className="fixed top-0 left-0 right-0 z-50 h-1 bg-gray-200">
           <motion.div
@@ -311,7 +250,49 @@ export default function Sidebar() {
         </div>
       )}
 
-      <aside className="sidebar-scrollbar w-80 h-screen bg-white border-r border-gray-300 flex flex-col sticky top-0 dark:bg-gray-900 dark:border-gray-700">
+      {/* Mobile top bar */}
+      <div className="lg:hidden fixed top-0 inset-x-0 z-30 h-14 px-4 flex items-center gap-3 bg-white border-b border-gray-300 dark:bg-gray-900 dark:border-gray-700">
+        <button
+          onClick={() => setIsDrawerOpen(true)}
+          aria-label="Open navigation"
+          aria-expanded={isDrawerOpen}
+          aria-controls="site-navigation"
+          className="p-2 -ml-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-all"
+        >
+          <Menu className="w-5 h-5 text-black dark:text-white" />
+        </button>
+        <Database className="w-6 h-6 text-black dark:text-white" />
+        <span className="text-lg font-bold text-black dark:text-white">
+          MongoDB
+        </span>
+        <button
+          onClick={() => window.dispatchEvent(new Event("search:open"))}
+          aria-label="Search all topics"
+          className="ml-auto p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-all"
+        >
+          <Search className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+        </button>
+      </div>
+
+      {isDrawerActive && (
+        <div
+          className="lg:hidden fixed inset-0 z-40 bg-black/50"
+          onClick={closeDrawer}
+          aria-hidden="true"
+        />
+      )}
+
+      <aside
+        id="site-navigation"
+        ref={drawerRef}
+        role={isDrawerActive ? "dialog" : undefined}
+        aria-modal={isDrawerActive ? true : undefined}
+        aria-label="Site navigation"
+        inert={!isDesktop && !isDrawerOpen ? true : undefined}
+        className={`sidebar-scrollbar fixed inset-y-0 left-0 z-50 w-80 max-w-[85vw] h-screen bg-white border-r border-gray-300 flex flex-col transition-transform duration-200 lg:sticky lg:top-0 lg:z-auto lg:max-w-none lg:translate-x-0 dark:bg-gray-900 dark:border-gray-700 ${
+          isDrawerOpen ? "translate-x-0" : "-translate-x-full"
+        }`}
+      >
         <div className="sticky top-0 bg-white px-6 py-4 flex items-center justify-between gap-3 z-10 border-b border-gray-300 dark:bg-gray-800 dark:border-gray-700">
           <div className="flex items-center gap-3">
             <Database className="w-7 h-7 text-black dark:text-white" />
@@ -319,42 +300,124 @@ export default function Sidebar() {
               MongoDB
             </h1>
           </div>
-          <Tooltip content="Visit GitHub" position="bottom">
-            <a
-              href="https://github.com/GyanaprakashKhandual"
-              target="_blank"
-              rel="noopener noreferrer"
-              className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-all"
+          <div className="flex items-center gap-1">
+            <ThemeToggle />
+            <Tooltip content="Visit GitHub" position="bottom">
+              <a
+                href="https://github.com/GyanaprakashKhandual"
+                target="_blank"
+                rel="noopener noreferrer"
+                className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-all"
+              >
+                <Github className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+              </a>
+            </Tooltip>
+            <button
+              onClick={closeDrawer}
+              aria-label="Close navigation"
+              className="lg:hidden p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-all"
             >
-              <Github className="w-5 h-5 text-gray-600 dark:text-gray-400" />
-            </a>
-          </Tooltip>
+              <X className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+            </button>
+          </div>
+        </div>
+
+        <div className="px-4 pt-4">
+          {versions.length > 1 && (
+            <div className="mb-2">
+              <VersionPicker
+                versions={versions}
+                active={activeVersion}
+                pathname={pathname}
+                onChange={(href) => {
+                  closeDrawer();
+                  router.push(href);
+                }}
+              />
+            </div>
+          )}
+          <button
+            onClick={() => {
+              closeDrawer();
+              window.dispatchEvent(new Event("search:open"));
+            }}
+            className="w-full flex items-center gap-3 px-4 py-2.5 rounded-lg border border-gray-300 text-gray-500 hover:bg-gray-100 dark:border-gray-700 dark:text-gray-400 dark:hover:bg-gray-800 transition-all"
+          >
+            <Search className="w-4 h-4" />
+            <span className="text-sm">Search all topics...</span>
+          </button>
+          <button
+            onClick={() => {
+              closeDrawer();
+              window.dispatchEvent(new Event("bookmarks:open"));
+            }}
+            className="w-full flex items-center gap-3 mt-2 px-4 py-2.5 rounded-lg text-gray-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-800 transition-all"
+          >
+            <Bookmark className="w-4 h-4" />
+            <span className="text-sm">My bookmarks</span>
+            <span className="ml-auto text-xs tabular-nums">
+              {annotations.bookmarks.length + annotations.highlights.length}
+            </span>
+          </button>
+        </div>
+
+        <div className="px-8 pt-4">
+          <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+            <span>Your progress</span>
+            <span>
+              {overall.completed}/{overall.total} topics
+            </span>
+          </div>
+          <div className="h-1.5 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+            <div
+              className="h-full bg-gray-600 dark:bg-gray-300 transition-all"
+              style={{ width: `${overall.percent}%` }}
+            />
+          </div>
         </div>
 
         <div className="flex-1 overflow-y-auto px-4 py-6 space-y-2">
-          {topicsData.map((section) => {
-            const Icon = section.icon;
+          {sections.map((section) => {
+            const Icon = icons[section.icon] || BookOpen;
             const isExpanded = expandedSections[section.id];
+            const sectionProgress = summarizeProgress(
+              readingProgress,
+              section.children.map((topic) => topic.slug)
+            );
 
             return (
               <div key={section.id} className="space-y-1">
-                <button
-                  onClick={() => toggleSection(section.id)}
-                  className="w-full flex items-center justify-between px-4 py-3 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-all dark:text-white"
-                >
-                  <div className="flex items-center gap-3">
-                    <Icon className="w-5 h-5 text-black dark:text-white" />
-                    <span className="font-semibold text-black dark:text-white text-sm">
-                      {section.title}
-                    </span>
-                  </div>
-                  <motion.div
-                    animate={{ rotate: isExpanded ? 180 : 0 }}
-                    transition={{ duration: 0.2 }}
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => toggleSection(section.id)}
+                    className="flex-1 min-w-0 flex items-center justify-between px-4 py-3 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-all dark:text-white"
                   >
-                    <ChevronDown className="w-4 h-4 text-black dark:text-white" />
-                  </motion.div>
-                </button>
+                    <div className="flex items-center gap-3">
+                      <Icon className="w-5 h-5 text-black dark:text-white" />
+                      <span className="font-semibold text-black dark:text-white text-sm">
+                        {section.title}
+                      </span>
+                    </div>
+                    <span
+                      className="ml-auto mr-2 text-xs text-gray-500 dark:text-gray-400"
+                      aria-label={`${sectionProgress.completed} of ${sectionProgress.total} topics completed`}
+                    >
+                      {sectionProgress.completed}/{sectionProgress.total}
+                    </span>
+                    <motion.div
+                      animate={{ rotate: isExpanded ? 180 : 0 }}
+                      transition={{ duration: 0.2 }}
+                    >
+                      <ChevronDown className="w-4 h-4 text-black dark:text-white" />
+                    </motion.div>
+                  </button>
+                  {offline.ready && isCurrentVersion && (
+                    <LevelDownload
+                      section={section}
+                      level={offline.levels[section.id]}
+                    />
+                  )}
+                </div>
 
                 <AnimatePresence>
                   {isExpanded && (
@@ -366,31 +429,53 @@ export default function Sidebar() {
                       className="overflow-hidden"
                     >
                       <div className="pl-4 space-y-1 py-1">
-                        {section.children.map((topic) => (
-                          <button
-                            key={topic.id}
-                            onClick={() =>
-                              handleTopicClick(topic.slug, topic.id)
-                            }
-                            disabled={isLoading}
-                            className={`w-full flex items-center gap-2 px-4 py-2.5 rounded-lg transition-all text-left ${
-                              clickedTopic === topic.id
-                                ? "bg-gray-200 dark:bg-gray-700"
-                                : "hover:bg-gray-100 dark:hover:bg-gray-800"
-                            } ${
-                              isLoading ? "opacity-50" : ""
-                            }`}
-                          >
-                            {isLoading && clickedTopic === topic.id ? (
-                              <Loader2 className="w-3.5 h-3.5 text-gray-600 dark:text-gray-400 animate-spin" />
-                            ) : (
-                              <ChevronRight className="w-3.5 h-3.5 text-gray-600 dark:text-gray-400" />
-                            )}
-                            <span className="text-sm text-black dark:text-white">
-                              {topic.title}
-                            </span>
-                          </button>
-                        ))}
+                        {section.children.map((topic) => {
+                          const TopicIcon = readingProgress[topic.slug]?.completed
+                            ? CheckCircle2
+                            : icons[topic.icon] || ChevronRight;
+                          const quizScore = summarizeTopicScore(
+                            quizScores,
+                            topic.slug
+                          );
+
+                          return (
+                            <button
+                              key={topic.id}
+                              onClick={() =>
+                                handleTopicClick(topic.slug, topic.id)
+                              }
+                              disabled={isLoading}
+                              className={`w-full flex items-center gap-2 px-4 py-2.5 rounded-lg transition-all text-left ${
+                                clickedTopic === topic.id
+                                  ? "bg-gray-200 dark:bg-gray-700"
+                                  : "hover:bg-gray-100 dark:hover:bg-gray-800"
+                              } ${
+                                isLoading ? "opacity-50" : ""
+                              }`}
+                            >
+                              {isLoading && clickedTopic === topic.id ? (
+                                <Loader2 className="w-3.5 h-3.5 text-gray-600 dark:text-gray-400 animate-spin" />
+                              ) : (
+                                <TopicIcon className="w-3.5 h-3.5 text-gray-600 dark:text-gray-400" />
+                              )}
+                              <span className="text-sm text-black dark:text-white">
+                                {topic.title}
+                              </span>
+                              {quizScore && (
+                                <span
+                                  className={`ml-auto shrink-0 px-1.5 py-0.5 rounded text-[10px] font-medium tabular-nums ${
+                                    quizScore.correct === quizScore.total
+                                      ? "bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300"
+                                      : "bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-400"
+                                  }`}
+                                  title={`Quiz score: ${quizScore.correct} of ${quizScore.total}`}
+                                >
+                                  {quizScore.correct}/{quizScore.total}
+                                </span>
+                              )}
+                            </button>
+                          );
+                        })}
                       </div>
                     </motion.div>
                   )}
@@ -1,307 +1,716 @@
 "use client";
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useId, useMemo, useRef } from "react";
+import { usePathname } from "next/navigation";
 import ReactMarkdown from "react-markdown";
 import remarkGfm from "remark-gfm";
-import { Check, Copy, ExternalLink } from "lucide-react";
+import { PrismLight as SyntaxHighlighter } from "react-syntax-highlighter";
+import bash from "react-syntax-highlighter/dist/esm/languages/prism/bash";
+import c from "react-syntax-highlighter/dist/esm/languages/prism/c";
+import cpp from "react-syntax-highlighter/dist/esm/languages/prism/cpp";
+import csharp from "react-syntax-highlighter/dist/esm/languages/prism/csharp";
+import docker from "react-syntax-highlighter/dist/esm/languages/prism/docker";
+import go from "react-syntax-highlighter/dist/esm/languages/prism/go";
+import ini from "react-syntax-highlighter/dist/esm/languages/prism/ini";
+import java from "react-syntax-highlighter/dist/esm/languages/prism/java";
+import javascript from "react-syntax-highlighter/dist/esm/languages/prism/javascript";
+import json from "react-syntax-highlighter/dist/esm/languages/prism/json";
+import python from "react-syntax-highlighter/dist/esm/languages/prism/python";
+import sql from "react-syntax-highlighter/dist/esm/languages/prism/sql";
+import typescript from "react-syntax-highlighter/dist/esm/languages/prism/typescript";
+import yaml from "react-syntax-highlighter/dist/esm/languages/prism/yaml";
+import { oneDark } from "react-syntax-highlighter/dist/esm/styles/prism";
+import {
+  Bookmark,
+  BookmarkCheck,
+  Check,
+  Copy,
+  ExternalLink,
+  Info,
+  Lightbulb,
+  Link2,
+  Loader2,
+  MessageSquareWarning,
+  OctagonAlert,
+  Play,
+  TriangleAlert,
+} from "lucide-react";
 import { Tooltip } from "./Tooltip.util";
+import { resolveLanguage } from "../scripts/Code.languages";
+import { isRunnable } from "../scripts/Mongo.shell";
+import {
+  PlaygroundProvider,
+  PlaygroundOutput,
+  usePlayground,
+} from "./Code.playground";
+import PipelineBlock from "./Pipeline.block";
+import QuizBlock from "./Quiz.block";
+import MermaidDiagram from "./Mermaid.diagram";
+import TreeOutline from "./Tree.outline";
+import AnnotationLayer from "./Annotation.layer";
+import { remarkHeadingIds } from "../lib/heading.ids";
+import { calloutTypes, remarkCallouts } from "../lib/callouts";
+import { remarkCodeGroups } from "../lib/code.groups";
+import { remarkVersionBadges } from "../lib/version.badges";
+import { usePreferredTab, setPreferredTab } from "../scripts/Code.tabs.store";
+import {
+  useAnnotations,
+  isBookmarked,
+  toggleBookmark,
+} from "../scripts/Annotations.store";
 
-const slugify = (text) => {
-  return text
-    .toString()
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, "-")
-    .replace(/[^\w\-]/g, "")
-    .replace(/\-\-+/g, "-");
-};
+// Grammars referenced by the `prism` field of scripts/Code.languages.js.
+Object.entries({
+  bash,
+  c,
+  cpp,
+  csharp,
+  docker,
+  go,
+  ini,
+  java,
+  javascript,
+  json,
+  python,
+  sql,
+  typescript,
+  yaml,
+}).forEach(([name, grammar]) =>
+  SyntaxHighlighter.registerLanguage(name, grammar)
+);
 
-const extractText = (children) => {
-  if (typeof children === "string") {
-    return children;
-  }
-  if (Array.isArray(children)) {
-    return children
-      .map((child) => {
-        if (typeof child === "string") return child;
-        if (child?.props?.children) return extractText(child.props.children);
-        return "";
-      })
-      .join("");
-  }
-  if (children?.props?.children) {
-    return extractText(children.props.children);
-  }
-  return String(children || "");
+const getNodeText = (node) => {
+  if (!node) return "";
+  if (node.type === "text") return node.value;
+  return (node.children || []).map(getNodeText).join("");
 };
 
-const CodeBlock = ({ language, children }) => {
+// `tabs` replaces the language label in the header when the block is one
+// panel of a CodeGroup; `panelProps` then carries the tabpanel attributes.
+const CodeBlock = ({ language, children, tabs, panelProps }) => {
   const [copied, setCopied] = useState(false);
+  const [output, setOutput] = useState(null);
+  const [running, setRunning] = useState(false);
+  const playground = usePlayground();
+  const code = String(children).replace(/\n$/, "");
+  const resolved = resolveLanguage(language, code);
+  const canRun = playground && resolved.id === "mongosh" && isRunnable(code);
 
   const handleCopy = () => {
-    navigator.clipboard.writeText(String(children));
+    navigator.clipboard.writeText(code);
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
   };
 
+  const handleRun = async () => {
+    setRunning(true);
+    setOutput(await playground.run(code));
+    setRunning(false);
+  };
+
+  const handleReset = () => {
+    playground.reset();
+    setOutput(null);
+  };
+
   return (
-    <div className="relative group mb-6">
-      <div className="flex items-center justify-between bg-zinc-900 px-4 py-2.5 rounded-t-lg border-b border-zinc-800">
-        <span className="text-xs font-mono text-zinc-400 uppercase tracking-wide">
-          {language || "code"}
-        </span>
-        <button
-          onClick={handleCopy}
-          className="flex items-center gap-2 px-3 py-1.5 text-xs text-zinc-300 hover:text-white bg-zinc-800 hover:bg-zinc-700 rounded transition-all duration-200"
-          aria-label="Copy code"
-        >
-          {copied ? (
-            <>
-              <Tooltip content="Copied" position="bottom">
-                <Check className="w-3.5 h-3.5" />
-              </Tooltip>
-            </>
-          ) : (
-            <>
-              <Tooltip content="Copy" position="bottom">
-                <Copy className="w-3.5 h-3.5" />
-              </Tooltip>
-            </>
+    <div
+      className="code-block relative group mb-6 rounded-lg dark:ring-1 dark:ring-zinc-800"
+      {...panelProps}
+    >
+      <div className="flex items-center justify-between gap-4 bg-zinc-900 px-4 py-2.5 rounded-t-lg border-b border-zinc-800">
+        {tabs || (
+          <span className="text-xs font-mono text-zinc-400 tracking-wide">
+            {resolved.label || "Code"}
+          </span>
+        )}
+        <div className="flex items-center gap-2 print:hidden">
+          {canRun && (
+            <button
+              onClick={handleRun}
+              disabled={running}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-xs text-emerald-300 hover:text-white bg-zinc-800 hover:bg-emerald-700 rounded transition-all duration-200 disabled:opacity-60"
+              aria-label="Run in the playground"
+            >
+              {running ? (
+                <Loader2 className="w-3.5 h-3.5 animate-spin" />
+              ) : (
+                <Play className="w-3.5 h-3.5" />
+              )}
+              Run
+            </button>
           )}
-        </button>
+          <button
+            onClick={handleCopy}
+            className="flex items-center gap-2 px-3 py-1.5 text-xs text-zinc-300 hover:text-white bg-zinc-800 hover:bg-zinc-700 rounded transition-all duration-200"
+            aria-label="Copy code"
+          >
+            {copied ? (
+              <>
+                <Tooltip content="Copied" position="bottom">
+                  <Check className="w-3.5 h-3.5" />
+                </Tooltip>
+              </>
+            ) : (
+              <>
+                <Tooltip content="Copy" position="bottom">
+                  <Copy className="w-3.5 h-3.5" />
+                </Tooltip>
+              </>
+            )}
+          </button>
+        </div>
       </div>
-      <div className="bg-zinc-950 rounded-b-lg overflow-x-auto">
-        <pre className="p-4 m-0 text-sm leading-relaxed">
-          <code className="font-mono text-zinc-100 block whitespace-pre">
-            {String(children).replace(/\n$/, "")}
-          </code>
-        </pre>
+      <div
+        className={`bg-zinc-950 overflow-x-auto print:overflow-visible ${output ? "" : "rounded-b-lg"}`}
+      >
+        {resolved.prism ? (
+          <SyntaxHighlighter
+            language={resolved.prism}
+            style={oneDark}
+            customStyle={{
+              margin: 0,
+              padding: "1rem",
+              background: "transparent",
+              fontSize: "0.875rem",
+              lineHeight: 1.625,
+            }}
+            codeTagProps={{ className: "font-mono" }}
+          >
+            {code}
+          </SyntaxHighlighter>
+        ) : (
+          <pre className="p-4 m-0 text-sm leading-relaxed">
+            <code className="font-mono text-zinc-100 block whitespace-pre">
+              {code}
+            </code>
+          </pre>
+        )}
       </div>
+      {output && (
+        <PlaygroundOutput
+          output={output}
+          onClose={() => setOutput(null)}
+          onReset={handleReset}
+        />
+      )}
     </div>
   );
 };
 
-export default function MarkdownRenderer({ content }) {
-  const [activeHeading, setActiveHeading] = useState(null);
-  const [headingIds, setHeadingIds] = useState({});
-
-  // Initialize heading ID map to match Right.sidebar
-  useEffect(() => {
-    if (!content) return;
+// Consecutive ```lang tab fences (see lib/code.groups.js) as one block with
+// a tab per fence. Picking a tab makes its label the site-wide preference,
+// so every group that has the same tab switches with it.
+const CodeGroup = ({ node }) => {
+  const preferred = usePreferredTab();
+  const tablistRef = useRef(null);
+  const baseId = useId();
 
-    const headingRegex = /^(#{1,4})\s+(.+)$/gm;
-    const idCounts = {};
-    const ids = {};
-    let match;
+  const tabs = node.children
+    .filter((child) => child.tagName === "pre")
+    .map((pre) => {
+      const codeNode = pre.children.find((child) => child.tagName === "code");
+      const language = []
+        .concat(codeNode?.properties?.className || [])
+        .map((name) => /^language-(.+)$/.exec(name)?.[1])
+        .find(Boolean);
+      const code = getNodeText(codeNode);
 
-    while ((match = headingRegex.exec(content)) !== null) {
-      const text = match[2];
-      let id = slugify(text);
+      return {
+        language,
+        code,
+        label:
+          codeNode?.properties?.dataTab ||
+          resolveLanguage(language, code).label ||
+          "Code",
+      };
+    });
 
-      if (idCounts[id] !== undefined) {
-        idCounts[id]++;
-        id = `${id}-${idCounts[id]}`;
-      } else {
-        idCounts[id] = 0;
-      }
+  const active = Math.max(
+    0,
+    tabs.findIndex((tab) => tab.label === preferred)
+  );
 
-      ids[text] = id;
-    }
+  // Groups above this one may change height when they switch too; keep
+  // the tabs the reader clicked where they were on screen.
+  const select = (index) => {
+    const before = tablistRef.current.getBoundingClientRect().top;
+    setPreferredTab(tabs[index].label);
+    requestAnimationFrame(() => {
+      const after = tablistRef.current?.getBoundingClientRect().top;
+      if (after !== undefined) window.scrollBy(0, after - before);
+    });
+  };
 
-    setHeadingIds(ids);
-  }, [content]);
+  const handleKeyDown = (e) => {
+    const next = {
+      ArrowRight: (active + 1) % tabs.length,
+      ArrowLeft: (active - 1 + tabs.length) % tabs.length,
+      Home: 0,
+      End: tabs.length - 1,
+    }[e.key];
+    if (next === undefined) return;
 
-  const getHeadingId = (text) => {
-    return headingIds[text] || slugify(text);
+    e.preventDefault();
+    select(next);
+    tablistRef.current.querySelectorAll('[role="tab"]')[next]?.focus();
   };
 
-  useEffect(() => {
-    const handleScroll = () => {
-      const headings = document.querySelectorAll("[data-heading]");
-      if (headings.length === 0) return;
+  const tabList = (
+    <div
+      ref={tablistRef}
+      role="tablist"
+      aria-label="Code language"
+      onKeyDown={handleKeyDown}
+      className="flex items-center gap-1 -my-1 overflow-x-auto"
+    >
+      {tabs.map((tab, i) => (
+        <button
+          key={i}
+          id={`${baseId}-tab-${i}`}
+          role="tab"
+          aria-selected={i === active}
+          aria-controls={`${baseId}-panel`}
+          tabIndex={i === active ? 0 : -1}
+          onClick={() => select(i)}
+          className={`px-2.5 py-1 text-xs font-mono rounded whitespace-nowrap transition-colors ${
+            i === active
+              ? "bg-zinc-700 text-white"
+              : "text-zinc-400 hover:text-white hover:bg-zinc-800"
+          }`}
+        >
+          {tab.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <CodeBlock
+      key={active}
+      language={tabs[active].language}
+      tabs={tabList}
+      panelProps={{
+        id: `${baseId}-panel`,
+        role: "tabpanel",
+        "aria-labelledby": `${baseId}-tab-${active}`,
+      }}
+    >
+      {tabs[active].code}
+    </CodeBlock>
+  );
+};
 
-      let currentActive = null;
+// Copies the heading's full URL and puts its anchor in the address bar.
+const HeadingLink = ({ id, label }) => {
+  const [copied, setCopied] = useState(false);
 
-      for (let i = headings.length - 1; i >= 0; i--) {
-        const rect = headings[i].getBoundingClientRect();
-        if (rect.top <= 200) {
-          currentActive = headings[i].id;
-          break;
-        }
+  const handleClick = (e) => {
+    e.preventDefault();
+    const url = `${window.location.href.split("#")[0]}#${id}`;
+    navigator.clipboard.writeText(url);
+    history.replaceState(null, "", `#${id}`);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <a
+      href={`#${id}`}
+      onClick={handleClick}
+      aria-label={
+        copied ? "Link copied" : `Copy link to "${label}"`
       }
+      title={copied ? "Link copied" : "Copy link"}
+      className={`print:hidden inline-flex align-middle ml-2 p-1 rounded text-doc-muted hover:text-doc-accent group-hover/heading:opacity-100 focus-visible:opacity-100 [@media(hover:none)]:opacity-100 transition-opacity ${
+        copied ? "opacity-100" : "opacity-0"
+      }`}
+    >
+      {copied ? <Check className="w-4 h-4" /> : <Link2 className="w-4 h-4" />}
+    </a>
+  );
+};
 
-      setActiveHeading(currentActive);
-    };
+// Adds or removes the heading from My bookmarks (Bookmarks.panel.jsx).
+const HeadingBookmark = ({ topicSlug, id, label }) => {
+  const annotations = useAnnotations();
+  const saved = isBookmarked(annotations, topicSlug, id);
+
+  return (
+    <button
+      onClick={() => toggleBookmark({ slug: topicSlug, headingId: id, heading: label })}
+      aria-pressed={saved}
+      aria-label={saved ? `Remove bookmark for "${label}"` : `Bookmark "${label}"`}
+      title={saved ? "Remove bookmark" : "Bookmark"}
+      className={`print:hidden inline-flex align-middle p-1 rounded hover:text-doc-accent group-hover/heading:opacity-100 focus-visible:opacity-100 [@media(hover:none)]:opacity-100 transition-opacity ${
+        saved ? "opacity-100 text-doc-accent" : "opacity-0 text-doc-muted"
+      }`}
+    >
+      {saved ? (
+        <BookmarkCheck className="w-4 h-4" />
+      ) : (
+        <Bookmark className="w-4 h-4" />
+      )}
+    </button>
+  );
+};
 
-    window.addEventListener("scroll", handleScroll, { passive: true });
-    return () => window.removeEventListener("scroll", handleScroll);
-  }, []);
+// h1-h4 with the id from remarkHeadingIds, copy-link and bookmark buttons,
+// and an empty target for every alias in the page's `anchors` frontmatter
+// so old links still land on the renamed heading.
+const Heading = ({
+  as: Tag,
+  node,
+  aliases,
+  topicSlug,
+  className,
+  children,
+  ...props
+}) => (
+  <Tag
+    data-heading="true"
+    className={`group/heading ${className}`}
+    {...props}
+  >
+    {aliases?.[props.id]?.map((alias) => (
+      <span
+        key={alias}
+        id={alias}
+        className="inline-block scroll-mt-24"
+        aria-hidden="true"
+      />
+    ))}
+    {children}
+    {props.id && <HeadingLink id={props.id} label={getNodeText(node)} />}
+    {props.id && topicSlug && (
+      <HeadingBookmark
+        topicSlug={topicSlug}
+        id={props.id}
+        label={getNodeText(node)}
+      />
+    )}
+  </Tag>
+);
+
+// Icon and colours per callout type in lib/callouts.js.
+const calloutStyles = {
+  note: {
+    icon: Info,
+    className: "border-blue-500 bg-blue-50 dark:bg-blue-500/10",
+    titleClassName: "text-blue-700 dark:text-blue-300",
+  },
+  tip: {
+    icon: Lightbulb,
+    className: "border-emerald-500 bg-emerald-50 dark:bg-emerald-500/10",
+    titleClassName: "text-emerald-700 dark:text-emerald-300",
+  },
+  important: {
+    icon: MessageSquareWarning,
+    className: "border-violet-500 bg-violet-50 dark:bg-violet-500/10",
+    titleClassName: "text-violet-700 dark:text-violet-300",
+  },
+  warning: {
+    icon: TriangleAlert,
+    className: "border-amber-500 bg-amber-50 dark:bg-amber-500/10",
+    titleClassName: "text-amber-700 dark:text-amber-300",
+  },
+  danger: {
+    icon: OctagonAlert,
+    className: "border-red-500 bg-red-50 dark:bg-red-500/10",
+    titleClassName: "text-red-700 dark:text-red-300",
+  },
+};
+
+const Callout = ({ type, title, children }) => {
+  const { icon: Icon, className, titleClassName } = calloutStyles[type];
 
   return (
-    <div className="markdown-content max-w-4xl">
-      <ReactMarkdown
-        remarkPlugins={[remarkGfm]}
-        components={{
-          h1: ({ node, children, ...props }) => {
-            const headingText = extractText(children);
-            const slug = getHeadingId(headingText);
-            return (
-              <h1
-                id={slug}
-                data-heading="true"
-                className="text-4xl font-bold text-gray-900 mb-6 mt-8 pb-3 border-b-2 border-gray-200 scroll-mt-24 transition-all duration-200"
-                {...props}
-              >
-                {children}
-              </h1>
-            );
-          },
-          h2: ({ node, children, ...props }) => {
-            const headingText = extractText(children);
-            const slug = getHeadingId(headingText);
-            return (
-              <h2
-                id={slug}
-                data-heading="true"
-                className="text-3xl font-semibold text-gray-900 mb-4 mt-8 pb-2 border-b border-gray-200 scroll-mt-24 transition-all duration-200"
-                {...props}
-              >
-                {children}
-              </h2>
-            );
-          },
-          h3: ({ node, children, ...props }) => {
-            const headingText = extractText(children);
-            const slug = getHeadingId(headingText);
-            return (
-              <h3
-                id={slug}
-                data-heading="true"
-                className="text-2xl font-semibold text-gray-900 mb-3 mt-6 scroll-mt-24 transition-all duration-200"
-                {...props}
-              >
-                {children}
-              </h3>
-            );
-          },
-          h4: ({ node, children, ...props }) => {
-            const headingText = extractText(children);
-            const slug = getHeadingId(headingText);
-            return (
-              <h4
-                id={slug}
-                data-heading="true"
-                className="text-xl font-semibold text-gray-900 mb-2 mt-4 scroll-mt-24"
-                {...props}
-              >
-                {children}
-              </h4>
-            );
-          },
-          p: ({ node, ...props }) => (
-            <p
-              className="text-gray-700 leading-relaxed mb-4 text-base"
-              {...props}
-            />
-          ),
-          ul: ({ node, ...props }) => (
-            <ul
-              className="list-none pl-0 text-gray-700 space-y-2 mb-6"
-              {...props}
-            />
-          ),
-          ol: ({ node, ...props }) => (
-            <ol
-              className="list-decimal pl-6 text-gray-700 space-y-2 mb-6 marker:text-gray-500"
-              {...props}
-            />
-          ),
-          li: ({ node, children, ...props }) => {
-            const isUnordered = node?.parent?.tagName === "ul";
-
-            return (
-              <li
-                className={`text-gray-700 ${
-                  isUnordered ? "flex items-start gap-3" : ""
-                }`}
-                {...props}
-              >
-                {isUnordered && (
-                  <span className="inline-block w-1.5 h-1.5 rounded-full bg-blue-500 mt-2 shrink-0" />
-                )}
-                <span className="flex-1">{children}</span>
-              </li>
-            );
-          },
-          code: ({ node, inline, className, children, ...props }) => {
-            const match = /language-(\w+)/.exec(className || "");
-            return !inline && match ? (
-              <CodeBlock language={match[1]}>{children}</CodeBlock>
-            ) : (
-              <code
-                className="bg-gray-100 text-pink-600 px-2 py-0.5 rounded font-mono text-sm border border-gray-200"
-                {...props}
-              >
-                {children}
-              </code>
-            );
-          },
-          blockquote: ({ node, ...props }) => (
-            <blockquote
-              className="border-l-4 border-blue-500 bg-blue-50 pl-6 pr-4 py-4 italic text-gray-700 my-6 rounded-r-lg"
-              {...props}
+    <aside
+      role={calloutTypes[type].role}
+      aria-label={title}
+      className={`my-6 border-l-4 rounded-r-lg pl-5 pr-4 py-4 text-doc-body [&>p:last-child]:mb-0 ${className}`}
+    >
+      <p
+        className={`flex items-center gap-2 font-semibold mb-2 ${titleClassName}`}
+      >
+        <Icon className="w-4 h-4 shrink-0" aria-hidden="true" />
+        {title}
+      </p>
+      {children}
+    </aside>
+  );
+};
+
+// Inline `[!added x.y]` marker (lib/version.badges.js).
+const VersionBadge = ({ version }) => (
+  <span
+    title={`Available in MongoDB ${version} and later`}
+    className="inline-block align-middle mx-1 px-2 py-0.5 rounded-full border border-emerald-300 bg-emerald-50 text-emerald-700 text-xs font-medium leading-normal tracking-normal normal-case whitespace-nowrap dark:border-emerald-500/40 dark:bg-emerald-500/10 dark:text-emerald-300"
+  >
+    Added in {version}
+  </span>
+);
+
+export default function MarkdownRenderer({
+  content,
+  playground,
+  topicSlug,
+  anchors,
+}) {
+  const articleRef = useRef(null);
+  const pathname = usePathname();
+
+  // `anchors` maps old id -> heading id; headings look up by their own id.
+  const aliasesById = useMemo(
+    () =>
+      Object.entries(anchors || {}).reduce((map, [alias, id]) => {
+        (map[id] ||= []).push(alias);
+        return map;
+      }, {}),
+    [anchors]
+  );
+
+  // Kept stable so a re-render doesn't remount stateful blocks (playground
+  // output, pipeline toggles, quiz answers, diagrams).
+  const components = useMemo(
+    () => ({
+      h1: ({ node, ...props }) => (
+        <Heading
+          as="h1"
+          node={node}
+          aliases={aliasesById}
+          topicSlug={topicSlug}
+          className="text-3xl sm:text-4xl font-bold text-doc-heading mb-6 mt-8 pb-3 border-b-2 border-doc-line scroll-mt-24 transition-all duration-200"
+          {...props}
+        />
+      ),
+      h2: ({ node, ...props }) => (
+        <Heading
+          as="h2"
+          node={node}
+          aliases={aliasesById}
+          topicSlug={topicSlug}
+          className="text-2xl sm:text-3xl font-semibold text-doc-heading mb-4 mt-8 pb-2 border-b border-doc-line scroll-mt-24 transition-all duration-200"
+          {...props}
+        />
+      ),
+      h3: ({ node, ...props }) => (
+        <Heading
+          as="h3"
+          node={node}
+          aliases={aliasesById}
+          topicSlug={topicSlug}
+          className="text-2xl font-semibold text-doc-heading mb-3 mt-6 scroll-mt-24 transition-all duration-200"
+          {...props}
+        />
+      ),
+      h4: ({ node, ...props }) => (
+        <Heading
+          as="h4"
+          node={node}
+          aliases={aliasesById}
+          topicSlug={topicSlug}
+          className="text-xl font-semibold text-doc-heading mb-2 mt-4 scroll-mt-24"
+          {...props}
+        />
+      ),
+      p: ({ node, ...props }) => (
+        <p
+          className="text-doc-body leading-relaxed mb-4 text-base"
+          {...props}
+        />
+      ),
+      ul: ({ node, ...props }) => (
+        <ul
+          className="list-none pl-0 text-doc-body space-y-2 mb-6"
+          {...props}
+        />
+      ),
+      ol: ({ node, ...props }) => (
+        <ol
+          className="list-decimal pl-6 text-doc-body space-y-2 mb-6 marker:text-doc-muted"
+          {...props}
+        />
+      ),
+      li: ({ node, children, ...props }) => {
+        const isUnordered = node?.parent?.tagName === "ul";
+
+        return (
+          <li
+            className={`text-doc-body ${
+              isUnordered ? "flex items-start gap-3" : ""
+            }`}
+            {...props}
+          >
+            {isUnordered && (
+              <span className="inline-block w-1.5 h-1.5 rounded-full bg-doc-accent mt-2 shrink-0" />
+            )}
+            <span className="flex-1">{children}</span>
+          </li>
+        );
+      },
+      // Fenced blocks arrive as <pre><code>; tagged or not, they all go
+      // through CodeBlock (```pipeline through PipelineBlock, ```quiz
+      // through QuizBlock, diagrams through MermaidDiagram and
+      // TreeOutline). Any <code> left for the `code` renderer is inline.
+      pre: ({ node }) => {
+        const codeNode = node?.children?.find(
+          (child) => child.tagName === "code"
+        );
+        const className = [].concat(
+          codeNode?.properties?.className || []
+        );
+        const match = className
+          .map((name) => /^language-(.+)$/.exec(name))
+          .find(Boolean);
+
+        const code = getNodeText(codeNode);
+
+        if (match?.[1] === "pipeline") {
+          return (
+            <PipelineBlock
+              code={code}
+              fallback={<CodeBlock language="mongosh">{code}</CodeBlock>}
             />
-          ),
-          table: ({ node, ...props }) => (
-            <div className="overflow-x-auto mb-6 rounded-lg border border-gray-200 shadow-sm">
-              <table
-                className="min-w-full divide-y divide-gray-200"
-                {...props}
-              />
-            </div>
-          ),
-          thead: ({ node, ...props }) => (
-            <thead className="bg-gray-50" {...props} />
-          ),
-          tbody: ({ node, ...props }) => (
-            <tbody className="bg-white divide-y divide-gray-200" {...props} />
-          ),
-          th: ({ node, ...props }) => (
-            <th
-              className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider"
-              {...props}
+          );
+        }
+
+        if (match?.[1] === "quiz") {
+          return (
+            <QuizBlock
+              code={code}
+              topicSlug={topicSlug}
+              fallback={<CodeBlock language="yaml">{code}</CodeBlock>}
             />
-          ),
-          td: ({ node, ...props }) => (
-            <td className="px-6 py-4 text-sm text-gray-700" {...props} />
-          ),
-          a: ({ node, href, children, ...props }) => (
-            <a
-              href={href}
-              className="text-blue-600 hover:text-blue-700 underline decoration-blue-400 decoration-2 underline-offset-2 transition-colors inline-flex items-center gap-1 group"
-              target={href?.startsWith("http") ? "_blank" : undefined}
-              rel={href?.startsWith("http") ? "noopener noreferrer" : undefined}
-              {...props}
-            >
-              {children}
-              {href?.startsWith("http") && (
-                <ExternalLink className="w-3 h-3 opacity-60 group-hover:opacity-100 transition-opacity" />
-              )}
-            </a>
-          ),
-          hr: ({ node, ...props }) => (
-            <hr className="my-8 border-t-2 border-gray-200" {...props} />
-          ),
-          strong: ({ node, ...props }) => (
-            <strong className="font-semibold text-gray-900" {...props} />
-          ),
-          em: ({ node, ...props }) => (
-            <em className="italic text-gray-700" {...props} />
-          ),
-        }}
-      >
-        {content}
-      </ReactMarkdown>
+          );
+        }
+
+        const language = resolveLanguage(match?.[1], code).id;
+        const fallback = (
+          <CodeBlock language={match?.[1]}>{code}</CodeBlock>
+        );
+
+        if (language === "mermaid") {
+          return <MermaidDiagram code={code} fallback={fallback} />;
+        }
+
+        if (language === "tree") {
+          return <TreeOutline code={code} fallback={fallback} />;
+        }
+
+        return fallback;
+      },
+      code: ({ node, className, children, ...props }) => (
+        <code
+          className="bg-doc-code-bg text-doc-code px-2 py-0.5 rounded font-mono text-sm border border-doc-line"
+          {...props}
+        >
+          {children}
+        </code>
+      ),
+      blockquote: ({ node, ...props }) => (
+        <blockquote
+          className="border-l-4 border-doc-accent-line bg-doc-accent-soft pl-6 pr-4 py-4 italic text-doc-body my-6 rounded-r-lg"
+          {...props}
+        />
+      ),
+      div: ({ node, ...props }) =>
+        props["data-code-group"] !== undefined ? (
+          <CodeGroup node={node} />
+        ) : (
+          <div {...props} />
+        ),
+      // Blockquotes that open with [!TYPE] arrive as <aside>.
+      aside: ({ node, children, ...props }) =>
+        calloutStyles[props["data-callout"]] ? (
+          <Callout
+            type={props["data-callout"]}
+            title={props["data-title"]}
+          >
+            {children}
+          </Callout>
+        ) : (
+          <aside {...props}>{children}</aside>
+        ),
+      span: ({ node, ...props }) =>
+        props["data-added"] ? (
+          <VersionBadge version={props["data-added"]} />
+        ) : (
+          <span {...props} />
+        ),
+      table: ({ node, ...props }) => (
+        <div className="overflow-x-auto print:overflow-visible mb-6 rounded-lg border border-doc-line shadow-sm print:shadow-none">
+          <table
+            className="min-w-full divide-y divide-doc-line"
+            {...props}
+          />
+        </div>
+      ),
+      thead: ({ node, ...props }) => (
+        <thead className="bg-doc-surface-muted" {...props} />
+      ),
+      tbody: ({ node, ...props }) => (
+        <tbody className="bg-doc-surface divide-y divide-doc-line" {...props} />
+      ),
+      th: ({ node, ...props }) => (
+        <th
+          className="px-4 sm:px-6 py-3 text-left text-xs font-semibold text-doc-body uppercase tracking-wider"
+          {...props}
+        />
+      ),
+      td: ({ node, ...props }) => (
+        <td className="px-4 sm:px-6 py-4 text-sm text-doc-body" {...props} />
+      ),
+      a: ({ node, href, children, ...props }) => (
+        <a
+          href={href}
+          className="text-doc-accent hover:opacity-80 underline decoration-doc-accent-line decoration-2 underline-offset-2 transition-colors inline-flex items-center gap-1 group"
+          target={href?.startsWith("http") ? "_blank" : undefined}
+          rel={href?.startsWith("http") ? "noopener noreferrer" : undefined}
+          {...props}
+        >
+          {children}
+          {href?.startsWith("http") && (
+            <ExternalLink className="w-3 h-3 opacity-60 group-hover:opacity-100 transition-opacity print:hidden" />
+          )}
+        </a>
+      ),
+      hr: ({ node, ...props }) => (
+        <hr className="my-8 border-t-2 border-doc-line" {...props} />
+      ),
+      strong: ({ node, ...props }) => (
+        <strong className="font-semibold text-doc-heading" {...props} />
+      ),
+      em: ({ node, ...props }) => (
+        <em className="italic text-doc-body" {...props} />
+      ),
+    }),
+    [aliasesById, topicSlug]
+  );
+
+  return (
+    <div ref={articleRef} className="markdown-content relative max-w-4xl">
+      <PlaygroundProvider key={pathname} seed={playground}>
+        <ReactMarkdown
+          remarkPlugins={[
+            remarkGfm,
+            remarkVersionBadges,
+            remarkHeadingIds,
+            remarkCallouts,
+            remarkCodeGroups,
+          ]}
+          components={components}
+        >
+          {content}
+        </ReactMarkdown>
+      </PlaygroundProvider>
+      {topicSlug && (
+        <AnnotationLayer
+          key={topicSlug}
+          containerRef={articleRef}
+          topicSlug={topicSlug}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,122 @@
+"use client";
+
+import React, { useEffect, useId, useState } from "react";
+import { Check, Code2, Copy, Loader2, Workflow } from "lucide-react";
+import { Tooltip } from "./Tooltip.util";
+import { useTheme } from "../scripts/Theme.store";
+
+// mermaid is large, so it loads with the first diagram on a page. Renders
+// are queued because initialize() sets the theme for the whole library.
+let queue = Promise.resolve();
+
+const renderDiagram = (id, code, theme) => {
+  const task = queue.then(async () => {
+    const { default: mermaid } = await import("mermaid");
+    mermaid.initialize({
+      startOnLoad: false,
+      securityLevel: "strict",
+      theme: theme === "dark" ? "dark" : "default",
+      fontFamily: "inherit",
+    });
+    const { svg } = await mermaid.render(id, code);
+    return svg;
+  });
+  queue = task.catch(() => {});
+  return task;
+};
+
+/**
+ * A ```mermaid block drawn as SVG, redrawn when the theme changes. Readers
+ * can flip to the source; `fallback` renders if mermaid rejects it.
+ */
+export default function MermaidDiagram({ code, fallback }) {
+  const { resolvedTheme } = useTheme();
+  const id = `mermaid-${useId().replace(/[^\w-]/g, "")}`;
+  const [diagram, setDiagram] = useState({ svg: null, error: null });
+  const [showSource, setShowSource] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    renderDiagram(id, code, resolvedTheme).then(
+      (svg) => !cancelled && setDiagram({ svg, error: null }),
+      (error) =>
+        !cancelled &&
+        setDiagram({ svg: null, error: error.message || String(error) })
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [id, code, resolvedTheme]);
+
+  if (diagram.error) {
+    return (
+      <>
+        <p className="text-xs text-red-600 dark:text-red-400 mb-2">
+          Diagram could not be drawn: {diagram.error}
+        </p>
+        {fallback}
+      </>
+    );
+  }
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(code);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <figure className="mb-6 rounded-lg border border-doc-line bg-doc-surface">
+      <div className="flex items-center justify-between gap-4 px-4 py-2 border-b border-doc-line">
+        <span className="text-xs font-mono text-doc-muted tracking-wide">
+          Diagram
+        </span>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => setShowSource((prev) => !prev)}
+            aria-pressed={showSource}
+            className="flex items-center gap-1.5 px-2 py-1 text-xs text-doc-muted hover:text-doc-heading rounded transition-colors"
+          >
+            {showSource ? (
+              <Workflow className="w-3.5 h-3.5" />
+            ) : (
+              <Code2 className="w-3.5 h-3.5" />
+            )}
+            {showSource ? "Diagram" : "Source"}
+          </button>
+          <button
+            onClick={handleCopy}
+            className="p-1.5 text-doc-muted hover:text-doc-heading rounded transition-colors"
+            aria-label="Copy diagram source"
+          >
+            <Tooltip content={copied ? "Copied" : "Copy"} position="bottom">
+              {copied ? (
+                <Check className="w-3.5 h-3.5" />
+              ) : (
+                <Copy className="w-3.5 h-3.5" />
+              )}
+            </Tooltip>
+          </button>
+        </div>
+      </div>
+      {showSource ? (
+        <pre className="m-0 p-4 overflow-x-auto text-sm font-mono leading-relaxed text-doc-body">
+          {code}
+        </pre>
+      ) : diagram.svg ? (
+        <div
+          role="img"
+          aria-label="Diagram; choose Source for a text version"
+          className="flex justify-center p-4 overflow-x-auto [&_svg]:h-auto [&_svg]:max-w-full"
+          dangerouslySetInnerHTML={{ __html: diagram.svg }}
+        />
+      ) : (
+        <div className="flex items-center justify-center gap-2 min-h-40 text-sm text-doc-muted">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Drawing diagram…
+        </div>
+      )}
+    </figure>
+  );
+}
@@ -0,0 +1,49 @@
+"use client";
+
+import React, { useEffect } from "react";
+import { RefreshCw, WifiOff } from "lucide-react";
+import {
+  useOffline,
+  registerServiceWorker,
+  applyUpdate,
+} from "../scripts/Offline.store";
+
+/**
+ * Registers the service worker and shows a small status pill: "Offline"
+ * while there is no connection, or a reload prompt once a newer build of
+ * the docs has been downloaded in the background.
+ */
+export default function OfflineIndicator() {
+  const { online, updateReady } = useOffline();
+
+  useEffect(() => {
+    registerServiceWorker();
+  }, []);
+
+  if (online && !updateReady) return null;
+
+  return (
+    <div
+      role="status"
+      className="print:hidden fixed bottom-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-3 px-4 py-2 rounded-full border border-doc-line bg-doc-surface text-sm text-doc-body shadow-lg"
+    >
+      {!online ? (
+        <>
+          <WifiOff className="w-4 h-4 shrink-0" />
+          <span>Offline — showing saved pages</span>
+        </>
+      ) : (
+        <>
+          <RefreshCw className="w-4 h-4 shrink-0" />
+          <span>Updated content available</span>
+          <button
+            onClick={applyUpdate}
+            className="px-2.5 py-1 rounded-full bg-doc-heading text-doc-surface text-xs font-medium hover:opacity-80 transition-opacity"
+          >
+            Reload
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
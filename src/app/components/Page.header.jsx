@@ -0,0 +1,70 @@
+import { Calendar, User, Database } from "lucide-react";
+
+const formatDate = (value) =>
+  new Date(`${value}T00:00:00Z`).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+// `value` as a quoted CSS string. Quotes, backslashes, control characters
+// and "<" (so a title can't close the <style>) become CSS hex escapes.
+const cssString = (value) =>
+  `"${String(value).replace(
+    /["\\<\p{Cc}]/gu,
+    (char) => `\\${char.codePointAt(0).toString(16)} `
+  )}"`;
+
+export default function PageHeader({
+  title,
+  description,
+  levelTitle,
+  author,
+  lastUpdated,
+  mongoVersion,
+  actions,
+}) {
+  const hasMeta = author || lastUpdated || mongoVersion;
+
+  return (
+    <header className="mb-10 pb-6 border-b-2 border-doc-line">
+      {/* Running header on every printed page (see globals.css). */}
+      <style>{`@page { @top-left { content: ${cssString(title)}; font: 8pt system-ui, sans-serif; color: #6b7280; } }`}</style>
+      {levelTitle && (
+        <span className="inline-block mb-3 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-doc-muted bg-doc-surface-muted rounded-full">
+          {levelTitle}
+        </span>
+      )}
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+        <h1 className="text-3xl sm:text-4xl font-bold text-doc-heading">{title}</h1>
+        {actions}
+      </div>
+      {description && (
+        <p className="text-lg text-doc-muted leading-relaxed">{description}</p>
+      )}
+      {hasMeta && (
+        <div className="flex flex-wrap items-center gap-x-5 gap-y-2 mt-4 text-sm text-doc-muted">
+          {author && (
+            <span className="flex items-center gap-1.5">
+              <User className="w-4 h-4" />
+              {author}
+            </span>
+          )}
+          {lastUpdated && (
+            <span className="flex items-center gap-1.5">
+              <Calendar className="w-4 h-4" />
+              <time dateTime={lastUpdated}>Updated {formatDate(lastUpdated)}</time>
+            </span>
+          )}
+          {mongoVersion && (
+            <span className="flex items-center gap-1.5">
+              <Database className="w-4 h-4" />
+              MongoDB {mongoVersion}
+            </span>
+          )}
+        </div>
+      )}
+    </header>
+  );
+}
@@ -0,0 +1,290 @@
+"use client";
+
+import React, { useState, useMemo } from "react";
+import { Check, Copy, Database, Play, RotateCcw } from "lucide-react";
+import { Tooltip } from "./Tooltip.util";
+import { usePlayground } from "./Code.playground";
+import { parsePipeline } from "../scripts/Mongo.shell";
+import { runStage, toExtendedJson } from "../lib/mongo.engine";
+
+// Documents listed per step; the count above the list is always exact.
+const MAX_SHOWN = 20;
+
+// JSON with mongosh-style bare keys: { $match: { status: "active" } }.
+const formatJson = (value, indent = 2) =>
+  JSON.stringify(toExtendedJson(value), null, indent).replace(
+    /"([$A-Za-z_][$\w]*)":/g,
+    "$1:"
+  );
+
+const stageName = (stage) => Object.keys(stage)[0];
+
+// Runs the enabled stages in order. A disabled stage passes its input
+// through; after a failing stage the rest of the pipeline has no input.
+const runSteps = (source, stages, enabled, database) => {
+  let docs = source;
+  return stages.map((stage, i) => {
+    if (docs === null) return { blocked: true };
+    if (!enabled[i]) return { docs, skipped: true };
+    try {
+      docs = runStage(docs, stage, database);
+      return { docs };
+    } catch (error) {
+      docs = null;
+      return { error: error.message };
+    }
+  });
+};
+
+const DocumentList = ({ docs }) => (
+  <div className="space-y-2">
+    {docs.slice(0, MAX_SHOWN).map((doc, i) => (
+      <pre
+        key={i}
+        className="m-0 p-3 rounded bg-zinc-900 text-xs font-mono leading-relaxed text-zinc-200 whitespace-pre-wrap break-words"
+      >
+        {formatJson(doc)}
+      </pre>
+    ))}
+    {docs.length > MAX_SHOWN && (
+      <p className="text-xs text-zinc-500">
+        {docs.length - MAX_SHOWN} more documents not shown
+      </p>
+    )}
+  </div>
+);
+
+/**
+ * A ```pipeline block: a single `db.<collection>.aggregate([...])` call,
+ * run stage by stage over the page's playground data. Readers pick a stage
+ * to see the documents it outputs and switch stages off to see what each
+ * one contributes. `fallback` renders when the block can't be parsed.
+ */
+export default function PipelineBlock({ code, fallback }) {
+  const playground = usePlayground();
+  const [copied, setCopied] = useState(false);
+  const [snapshot, setSnapshot] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [disabled, setDisabled] = useState([]);
+
+  const parsed = useMemo(() => {
+    try {
+      return parsePipeline(code);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [code]);
+
+  const enabled = useMemo(
+    () => (parsed.stages || []).map((_, i) => !disabled.includes(i)),
+    [parsed, disabled]
+  );
+
+  const steps = useMemo(
+    () =>
+      snapshot
+        ? runSteps(snapshot.docs, parsed.stages, enabled, snapshot.database)
+        : null,
+    [snapshot, parsed, enabled]
+  );
+
+  if (parsed.error || !playground) {
+    return (
+      <>
+        {parsed.error && (
+          <p className="text-xs text-red-600 dark:text-red-400 mb-2">
+            Pipeline block could not be read: {parsed.error}
+          </p>
+        )}
+        {fallback}
+      </>
+    );
+  }
+
+  const { collection, stages } = parsed;
+
+  const handleRun = () => {
+    try {
+      const database = playground.getDatabase();
+      setSnapshot({
+        docs: [...database.getCollection(collection).documents()],
+        database,
+      });
+      setLoadError(null);
+      setSelected(stages.length - 1);
+    } catch (error) {
+      setLoadError(error.message);
+    }
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(code);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const toggleStage = (i) =>
+    setDisabled((prev) =>
+      prev.includes(i) ? prev.filter((index) => index !== i) : [...prev, i]
+    );
+
+  const shownStep =
+    selected === null || !steps
+      ? null
+      : selected === -1
+        ? { docs: snapshot.docs }
+        : steps[selected];
+
+  return (
+    <div className="mb-6 rounded-lg bg-zinc-950 dark:ring-1 dark:ring-zinc-800">
+      <div className="flex items-center justify-between bg-zinc-900 px-4 py-2.5 rounded-t-lg border-b border-zinc-800">
+        <span className="text-xs font-mono text-zinc-400 tracking-wide">
+          Pipeline · db.{collection}
+        </span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleRun}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-xs text-emerald-300 hover:text-white bg-zinc-800 hover:bg-emerald-700 rounded transition-all duration-200"
+          >
+            {snapshot ? (
+              <RotateCcw className="w-3.5 h-3.5" />
+            ) : (
+              <Play className="w-3.5 h-3.5" />
+            )}
+            {snapshot ? "Re-run" : "Run stages"}
+          </button>
+          <button
+            onClick={handleCopy}
+            className="flex items-center gap-2 px-3 py-1.5 text-xs text-zinc-300 hover:text-white bg-zinc-800 hover:bg-zinc-700 rounded transition-all duration-200"
+            aria-label="Copy code"
+          >
+            <Tooltip content={copied ? "Copied" : "Copy"} position="bottom">
+              {copied ? (
+                <Check className="w-3.5 h-3.5" />
+              ) : (
+                <Copy className="w-3.5 h-3.5" />
+              )}
+            </Tooltip>
+          </button>
+        </div>
+      </div>
+
+      <ol className="p-3 space-y-1.5">
+        {steps && (
+          <li>
+            <button
+              onClick={() => setSelected(-1)}
+              aria-pressed={selected === -1}
+              className={`w-full flex items-center gap-3 px-3 py-2 rounded text-left text-xs font-mono transition-colors ${
+                selected === -1
+                  ? "bg-zinc-800 text-white"
+                  : "text-zinc-400 hover:bg-zinc-900"
+              }`}
+            >
+              <Database className="w-3.5 h-3.5 shrink-0" />
+              <span>Input</span>
+              <span className="ml-auto text-zinc-500">
+                {snapshot.docs.length} docs
+              </span>
+            </button>
+          </li>
+        )}
+        {stages.map((stage, i) => {
+          const step = steps?.[i];
+          const isSelected = selected === i;
+
+          return (
+            <li
+              key={i}
+              className={`rounded border ${
+                isSelected ? "border-zinc-600" : "border-zinc-800"
+              } ${enabled[i] ? "" : "opacity-50"}`}
+            >
+              <div className="flex items-start gap-3 px-3 py-2">
+                <input
+                  type="checkbox"
+                  checked={enabled[i]}
+                  onChange={() => toggleStage(i)}
+                  aria-label={`Enable stage ${i + 1} (${stageName(stage)})`}
+                  className="mt-1 accent-emerald-500"
+                />
+                <button
+                  onClick={() => steps && setSelected(i)}
+                  disabled={!steps}
+                  aria-pressed={isSelected}
+                  className="flex-1 min-w-0 text-left"
+                >
+                  <div className="flex items-center gap-2 text-xs font-mono">
+                    <span className="text-zinc-500">{i + 1}</span>
+                    <span className="px-1.5 py-0.5 rounded bg-emerald-900/60 text-emerald-300">
+                      {stageName(stage)}
+                    </span>
+                    {step && (
+                      <span
+                        className={`ml-auto ${
+                          step.error ? "text-red-400" : "text-zinc-500"
+                        }`}
+                      >
+                        {step.error
+                          ? "error"
+                          : step.blocked
+                            ? "—"
+                            : step.skipped
+                              ? `skipped · ${step.docs.length} docs`
+                              : `${step.docs.length} docs`}
+                      </span>
+                    )}
+                  </div>
+                  <pre className="m-0 mt-1.5 text-xs font-mono leading-relaxed text-zinc-300 whitespace-pre-wrap break-words">
+                    {formatJson(stage[stageName(stage)])}
+                  </pre>
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+
+      {loadError && (
+        <p className="px-4 pb-4 text-sm font-mono text-red-400">
+          Could not load the sample data: {loadError}
+        </p>
+      )}
+
+      {shownStep && (
+        <div
+          className="border-t border-zinc-800 p-4 max-h-96 overflow-auto"
+          role="status"
+          aria-live="polite"
+        >
+          <p className="text-xs font-mono text-zinc-400 mb-3">
+            {selected === -1
+              ? `Input: ${snapshot.docs.length} documents from ${collection}`
+              : `After stage ${selected + 1} (${stageName(stages[selected])})`}
+          </p>
+          {shownStep.error ? (
+            <pre className="m-0 text-sm font-mono text-red-400 whitespace-pre-wrap">
+              {shownStep.error}
+            </pre>
+          ) : shownStep.blocked ? (
+            <p className="text-sm text-zinc-500">
+              An earlier stage failed, so this stage has no input.
+            </p>
+          ) : shownStep.docs.length === 0 ? (
+            <p className="text-sm text-zinc-500">No documents.</p>
+          ) : (
+            <DocumentList docs={shownStep.docs} />
+          )}
+        </div>
+      )}
+
+      {!steps && !loadError && (
+        <p className="px-4 pb-3 text-xs text-zinc-500">
+          Run the stages to see the documents after each one; untick a stage
+          to skip it.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,384 @@
+"use client";
+
+import React, { useMemo, useState } from "react";
+import {
+  ArrowDown,
+  ArrowUp,
+  CheckCircle2,
+  ListChecks,
+  Loader2,
+  RotateCcw,
+  XCircle,
+} from "lucide-react";
+import { usePlayground } from "./Code.playground";
+import { runShell } from "../scripts/Mongo.shell";
+import {
+  getQuizResult,
+  recordQuizResult,
+  useQuizScores,
+} from "../scripts/Quiz.store";
+import { normalizeQuery, parseQuiz, shuffledOrder } from "../lib/quiz.block";
+
+// `code` spans in question text, the only markdown quizzes need.
+const InlineText = ({ text }) =>
+  text.split(/(`[^`]+`)/).map((part, i) =>
+    part.startsWith("`") && part.endsWith("`") && part.length > 1 ? (
+      <code
+        key={i}
+        className="bg-doc-code-bg text-doc-code px-1.5 py-0.5 rounded font-mono text-sm border border-doc-line"
+      >
+        {part.slice(1, -1)}
+      </code>
+    ) : (
+      <React.Fragment key={i}>{part}</React.Fragment>
+    )
+  );
+
+const initialAnswers = ({ id, questions }) =>
+  questions.map((question, i) => {
+    if (question.type === "multiple") return [];
+    if (question.type === "query") return "";
+    if (question.type === "order") {
+      return shuffledOrder(question.items.length, `${id}-${i}`);
+    }
+    return null;
+  });
+
+const sameList = (a, b) =>
+  a.length === b.length && a.every((item, i) => item === b[i]);
+
+const outputText = (output) => JSON.stringify(output.map((entry) => entry.text));
+
+// A query is right when it reads like an accepted answer or, on pages with
+// sample data, returns exactly what the expected query returns.
+const gradeQuery = async (input, question, playground) => {
+  if (!input.trim()) return { correct: false };
+
+  const accepted = [question.answer, ...question.accept].map(normalizeQuery);
+  if (accepted.includes(normalizeQuery(input))) return { correct: true };
+
+  const expectedDb = playground?.createSandbox();
+  if (!expectedDb) return { correct: false };
+
+  const expected = await runShell(question.answer, expectedDb);
+  const actual = await runShell(input, playground.createSandbox());
+  const error = actual.find((entry) => entry.kind === "error");
+  if (error) return { correct: false, detail: error.text };
+
+  return {
+    correct:
+      !expected.some((entry) => entry.kind === "error") &&
+      outputText(actual) === outputText(expected),
+  };
+};
+
+const gradeQuestion = async (question, answer, playground) => {
+  switch (question.type) {
+    case "single":
+      return { correct: answer === question.answer };
+    case "multiple":
+      return {
+        correct: sameList([...answer].sort((a, b) => a - b), question.answer),
+      };
+    case "order":
+      return { correct: answer.every((item, i) => item === i) };
+    default:
+      return gradeQuery(answer, question, playground);
+  }
+};
+
+const Choices = ({ name, question, answer, result, onChange }) => {
+  const multiple = question.type === "multiple";
+  const isChosen = (i) => (multiple ? answer.includes(i) : answer === i);
+  const isRight = (i) =>
+    multiple ? question.answer.includes(i) : question.answer === i;
+
+  return (
+    <div className="space-y-2">
+      {question.options.map((option, i) => {
+        const marked = result && (isRight(i) || isChosen(i));
+        return (
+          <label
+            key={i}
+            className={`flex items-start gap-3 px-3 py-2 rounded-lg border text-doc-body transition-colors ${
+              marked && isRight(i)
+                ? "border-emerald-500 bg-emerald-50 dark:bg-emerald-900/20"
+                : marked
+                  ? "border-red-500 bg-red-50 dark:bg-red-900/20"
+                  : "border-doc-line hover:bg-doc-surface cursor-pointer"
+            }`}
+          >
+            <input
+              type={multiple ? "checkbox" : "radio"}
+              name={name}
+              checked={isChosen(i)}
+              disabled={Boolean(result)}
+              onChange={() =>
+                onChange(
+                  multiple
+                    ? isChosen(i)
+                      ? answer.filter((index) => index !== i)
+                      : [...answer, i]
+                    : i
+                )
+              }
+              className="mt-1 accent-blue-600"
+            />
+            <span className="flex-1">
+              <InlineText text={option} />
+            </span>
+          </label>
+        );
+      })}
+    </div>
+  );
+};
+
+const Ordering = ({ question, answer, result, onChange }) => {
+  const move = (from, to) => {
+    const next = [...answer];
+    [next[from], next[to]] = [next[to], next[from]];
+    onChange(next);
+  };
+
+  return (
+    <ol className="space-y-2">
+      {answer.map((item, i) => (
+        <li
+          key={item}
+          className={`flex items-center gap-3 px-3 py-2 rounded-lg border text-doc-body ${
+            !result
+              ? "border-doc-line"
+              : item === i
+                ? "border-emerald-500"
+                : "border-red-500"
+          }`}
+        >
+          <span className="text-xs font-mono text-doc-muted">{i + 1}</span>
+          <span className="flex-1">
+            <InlineText text={question.items[item]} />
+          </span>
+          <button
+            onClick={() => move(i, i - 1)}
+            disabled={Boolean(result) || i === 0}
+            className="p-1 rounded text-doc-muted hover:text-doc-heading disabled:opacity-30"
+            aria-label={`Move "${question.items[item]}" up`}
+          >
+            <ArrowUp className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => move(i, i + 1)}
+            disabled={Boolean(result) || i === answer.length - 1}
+            className="p-1 rounded text-doc-muted hover:text-doc-heading disabled:opacity-30"
+            aria-label={`Move "${question.items[item]}" down`}
+          >
+            <ArrowDown className="w-4 h-4" />
+          </button>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+const Feedback = ({ question, result }) => (
+  <div
+    className={`mt-3 p-3 rounded-lg text-sm ${
+      result.correct
+        ? "bg-emerald-50 dark:bg-emerald-900/20"
+        : "bg-red-50 dark:bg-red-900/20"
+    }`}
+  >
+    <p className="flex items-center gap-2 font-medium text-doc-heading">
+      {result.correct ? (
+        <CheckCircle2 className="w-4 h-4 text-emerald-600 dark:text-emerald-400" />
+      ) : (
+        <XCircle className="w-4 h-4 text-red-600 dark:text-red-400" />
+      )}
+      {result.correct ? "Correct" : "Not quite"}
+    </p>
+    {result.detail && (
+      <pre className="mt-2 text-xs font-mono text-red-600 dark:text-red-400 whitespace-pre-wrap">
+        {result.detail}
+      </pre>
+    )}
+    {!result.correct && question.type === "query" && (
+      <p className="mt-2 text-doc-body">
+        One answer:{" "}
+        <code className="font-mono text-sm text-doc-code">
+          {question.answer}
+        </code>
+      </p>
+    )}
+    {!result.correct && question.type === "order" && (
+      <p className="mt-2 text-doc-body">
+        Right order: {question.items.join(" → ")}
+      </p>
+    )}
+    {question.explanation && (
+      <p className="mt-2 text-doc-body">
+        <InlineText text={question.explanation} />
+      </p>
+    )}
+  </div>
+);
+
+/**
+ * A ```quiz block (format in lib/quiz.block.js). Readers answer every
+ * question, then check them all at once; the score is stored per topic
+ * so the left sidebar can show it. `fallback` renders when the block
+ * can't be parsed.
+ */
+export default function QuizBlock({ code, topicSlug, fallback }) {
+  const playground = usePlayground();
+  const scores = useQuizScores();
+
+  const quiz = useMemo(() => {
+    try {
+      return parseQuiz(code);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [code]);
+
+  const [answers, setAnswers] = useState(() =>
+    quiz.error ? [] : initialAnswers(quiz)
+  );
+  const [results, setResults] = useState(null);
+  const [checking, setChecking] = useState(false);
+
+  if (quiz.error) {
+    return (
+      <>
+        <p className="text-xs text-red-600 dark:text-red-400 mb-2">
+          Quiz block could not be read: {quiz.error}
+        </p>
+        {fallback}
+      </>
+    );
+  }
+
+  const { id, questions } = quiz;
+  const previous = topicSlug ? getQuizResult(scores, topicSlug, id) : null;
+  const correct = results?.filter((result) => result.correct).length;
+
+  const setAnswer = (i, value) =>
+    setAnswers((prev) => prev.map((answer, j) => (j === i ? value : answer)));
+
+  const handleCheck = async () => {
+    setChecking(true);
+    const graded = [];
+    for (const [i, question] of questions.entries()) {
+      graded.push(await gradeQuestion(question, answers[i], playground));
+    }
+    setResults(graded);
+    setChecking(false);
+
+    if (topicSlug) {
+      recordQuizResult(topicSlug, id, {
+        correct: graded.filter((result) => result.correct).length,
+        total: questions.length,
+        answers,
+      });
+    }
+  };
+
+  const handleRetry = () => {
+    setAnswers(initialAnswers(quiz));
+    setResults(null);
+  };
+
+  return (
+    <section
+      className="mb-6 rounded-lg border border-doc-line bg-doc-surface-muted"
+      aria-label="Quiz"
+    >
+      <div className="flex items-center justify-between px-4 py-3 border-b border-doc-line">
+        <span className="flex items-center gap-2 text-sm font-semibold text-doc-heading">
+          <ListChecks className="w-4 h-4 text-doc-accent" />
+          Quiz · {questions.length}{" "}
+          {questions.length === 1 ? "question" : "questions"}
+        </span>
+        {previous && !results && (
+          <span className="text-xs text-doc-muted">
+            Last score {previous.correct}/{previous.total}
+          </span>
+        )}
+      </div>
+
+      <ol className="p-4 space-y-6">
+        {questions.map((question, i) => (
+          <li key={i}>
+            <fieldset>
+              <legend className="mb-3 font-medium text-doc-heading">
+                <span className="text-doc-muted mr-2">{i + 1}.</span>
+                <InlineText text={question.question} />
+                {question.type === "multiple" && (
+                  <span className="ml-2 text-xs font-normal text-doc-muted">
+                    Select all that apply
+                  </span>
+                )}
+              </legend>
+
+              {(question.type === "single" ||
+                question.type === "multiple") && (
+                <Choices
+                  name={`${id}-${i}`}
+                  question={question}
+                  answer={answers[i]}
+                  result={results?.[i]}
+                  onChange={(value) => setAnswer(i, value)}
+                />
+              )}
+              {question.type === "query" && (
+                <textarea
+                  value={answers[i]}
+                  onChange={(e) => setAnswer(i, e.target.value)}
+                  disabled={Boolean(results)}
+                  rows={3}
+                  spellCheck={false}
+                  placeholder="db.collection.find(...)"
+                  aria-label={`Your query for question ${i + 1}`}
+                  className="w-full p-3 rounded-lg border border-doc-line bg-zinc-950 text-zinc-100 font-mono text-sm placeholder:text-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              )}
+              {question.type === "order" && (
+                <Ordering
+                  question={question}
+                  answer={answers[i]}
+                  result={results?.[i]}
+                  onChange={(value) => setAnswer(i, value)}
+                />
+              )}
+
+              {results && <Feedback question={question} result={results[i]} />}
+            </fieldset>
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex items-center justify-between gap-4 px-4 py-3 border-t border-doc-line">
+        <p className="text-sm text-doc-body" role="status" aria-live="polite">
+          {results && `You scored ${correct} of ${questions.length}.`}
+        </p>
+        {results ? (
+          <button
+            onClick={handleRetry}
+            className="flex items-center gap-1.5 px-4 py-2 text-sm rounded-lg border border-doc-line text-doc-body hover:bg-doc-surface transition-colors"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Try again
+          </button>
+        ) : (
+          <button
+            onClick={handleCheck}
+            disabled={checking}
+            className="flex items-center gap-1.5 px-4 py-2 text-sm rounded-lg bg-blue-600 hover:bg-blue-700 text-white transition-colors disabled:opacity-60"
+          >
+            {checking && <Loader2 className="w-4 h-4 animate-spin" />}
+            Check answers
+          </button>
+        )}
+      </div>
+    </section>
+  );
+}
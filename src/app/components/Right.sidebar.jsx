@@ -1,64 +1,32 @@
 "use client";
 
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
 import { motion } from "framer-motion";
-import { FileText, ChevronRight, Loader2 } from "lucide-react";
-
-const slugify = (text) => {
-  return text
-    .toString()
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, "-")
-    .replace(/[^\w\-]/g, "")
-    .replace(/\-\-+/g, "-");
-};
-
-const extractHeadingsFromMarkdown = (markdown) => {
-  const headingRegex = /^(#{1,4})\s+(.+)$/gm;
-  const headings = [];
-  const idCounts = {}; // Track ID occurrences
-  let match;
-
-  while ((match = headingRegex.exec(markdown)) !== null) {
-    const level = match[1].length;
-    const text = match[2];
-    let id = slugify(text);
-
-    // Handle duplicate IDs by appending a counter
-    if (idCounts[id] !== undefined) {
-      idCounts[id]++;
-      id = `${id}-${idCounts[id]}`;
-    } else {
-      idCounts[id] = 0;
-    }
-
-    headings.push({
-      id,
-      text,
-      level,
-    });
-  }
-
-  return headings;
-};
-
-export default function RightSidebar({ content }) {
-  const [headings, setHeadings] = useState([]);
-  const [activeHeading, setActiveHeading] = useState(null);
+import {
+  FileText,
+  ChevronRight,
+  Loader2,
+  CheckCircle2,
+  Circle,
+} from "lucide-react";
+import { extractHeadings } from "../lib/heading.ids";
+import {
+  useProgress,
+  getTopicProgress,
+  recordTopicProgress,
+  setTopicCompleted,
+} from "../scripts/Progress.store";
+
+export default function RightSidebar({ content, topicSlug }) {
+  const headings = useMemo(
+    () => (content ? extractHeadings(content) : []),
+    [content]
+  );
+  const [activeHeading, setActiveHeading] = useState(headings[0]?.id ?? null);
   const [isLoading, setIsLoading] = useState(false);
   const [loadingHeading, setLoadingHeading] = useState(null);
-
-  useEffect(() => {
-    if (!content) return;
-
-    const extractedHeadings = extractHeadingsFromMarkdown(content);
-    setHeadings(extractedHeadings);
-
-    if (extractedHeadings.length > 0) {
-      setActiveHeading(extractedHeadings[0].id);
-    }
-  }, [content]);
+  const progress = useProgress();
+  const topicProgress = topicSlug ? getTopicProgress(progress, topicSlug) : null;
 
   useEffect(() => {
     const handleScroll = () => {
@@ -84,50 +52,55 @@ export default function RightSidebar({ content }) {
     return () => window.removeEventListener("scroll", handleScroll);
   }, [headings, activeHeading]);
 
-  const handleHeadingClick = useCallback(
-    (id) => {
-      setIsLoading(true);
-      setLoadingHeading(id);
-
-      let element = document.getElementById(id);
-
-      if (!element) {
-        let retries = 0;
-        const retryInterval = setInterval(() => {
-          retries++;
-          element = document.getElementById(id);
-
-          if (element || retries > 5) {
-            clearInterval(retryInterval);
-
-            if (element) {
-              setActiveHeading(id);
-              element.scrollIntoView({ behavior: "smooth", block: "start" });
-              setTimeout(() => {
-                setIsLoading(false);
-                setLoadingHeading(null);
-              }, 500);
-            } else {
-              setIsLoading(false);
-              setLoadingHeading(null);
-            }
-          }
-        }, 100);
-      } else {
-        setActiveHeading(id);
-        element.scrollIntoView({ behavior: "smooth", block: "start" });
-        setTimeout(() => {
-          setIsLoading(false);
-          setLoadingHeading(null);
-        }, 500);
+  useEffect(() => {
+    if (!topicSlug) return;
+
+    const handleScroll = () => {
+      const { scrollHeight } = document.documentElement;
+      const percent = Math.min(
+        100,
+        ((window.scrollY + window.innerHeight) / scrollHeight) * 100
+      );
+
+      let section = null;
+      for (let i = headings.length - 1; i >= 0; i--) {
+        const element = document.getElementById(headings[i].id);
+        if (element && element.getBoundingClientRect().top <= 200) {
+          section = headings[i].id;
+          break;
+        }
       }
-    },
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-    [headings]
-  );
+
+      recordTopicProgress(topicSlug, {
+        percent,
+        section,
+        totalSections: headings.length,
+      });
+    };
+
+    handleScroll();
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    return () => window.removeEventListener("scroll", handleScroll);
+  }, [topicSlug, headings]);
+
+  // Heading ids are rendered on the server, so the target is always there.
+  const handleHeadingClick = useCallback((id) => {
+    const element = document.getElementById(id);
+    if (!element) return;
+
+    setIsLoading(true);
+    setLoadingHeading(id);
+    setActiveHeading(id);
+    element.scrollIntoView({ behavior: "smooth", block: "start" });
+    history.replaceState(null, "", `#${id}`);
+    setTimeout(() => {
+      setIsLoading(false);
+      setLoadingHeading(null);
+    }, 500);
+  }, []);
 
   return (
-    <aside className="sidebar-scrollbar w-72 h-screen bg-white border-l border-gray-300 flex flex-col sticky top-0 dark:bg-gray-900 dark:border-gray-700 overflow-hidden">
+    <aside className="sidebar-scrollbar w-72 h-screen bg-white border-l border-gray-300 hidden xl:flex print:hidden flex-col sticky top-0 dark:bg-gray-900 dark:border-gray-700 overflow-hidden">
       <div className="sticky top-0 bg-white px-6 py-4 border-b border-gray-300 dark:bg-gray-800 dark:border-gray-700 z-10">
         <div className="flex items-center gap-2">
           <FileText className="w-5 h-5 text-black dark:text-white" />
@@ -135,6 +108,20 @@ export default function RightSidebar({ content }) {
             Contents
           </h2>
         </div>
+        {topicProgress && (
+          <div className="mt-3">
+            <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+              <span>Read</span>
+              <span>{topicProgress.percent}%</span>
+            </div>
+            <div className="h-1.5 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+              <div
+                className="h-full bg-gray-600 dark:bg-gray-300 transition-all"
+                style={{ width: `${topicProgress.percent}%` }}
+              />
+            </div>
+          </div>
+        )}
       </div>
 
       <div className="flex-1 overflow-y-auto px-4 py-6 space-y-1">
@@ -169,6 +156,29 @@ export default function RightSidebar({ content }) {
           </p>
         )}
       </div>
+
+      {topicProgress && (
+        <div className="sticky bottom-0 bg-white border-t border-gray-300 px-4 py-4 dark:bg-gray-800 dark:border-gray-700">
+          <button
+            onClick={() =>
+              setTopicCompleted(topicSlug, !topicProgress.completed)
+            }
+            aria-pressed={topicProgress.completed}
+            className={`w-full flex items-center justify-center gap-2 px-4 py-3 rounded-lg text-sm font-medium transition-all ${
+              topicProgress.completed
+                ? "bg-black hover:bg-gray-800 text-white dark:bg-white dark:hover:bg-gray-200 dark:text-black"
+                : "border border-gray-300 text-gray-700 hover:bg-gray-100 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700"
+            }`}
+          >
+            {topicProgress.completed ? (
+              <CheckCircle2 className="w-4 h-4" />
+            ) : (
+              <Circle className="w-4 h-4" />
+            )}
+            {topicProgress.completed ? "Completed" : "Mark as complete"}
+          </button>
+        </div>
+      )}
     </aside>
   );
 }
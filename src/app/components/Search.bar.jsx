@@ -1,48 +1,158 @@
 "use client";
 
-import { useState, useEffect } from "react";
-import { X, Search } from "lucide-react";
+import { useState, useEffect, useMemo } from "react";
+import { useRouter } from "next/navigation";
+import { X, Search, Loader2, FileText, Hash } from "lucide-react";
+import {
+  loadSearchIndex,
+  searchIndex,
+  groupResults,
+  tokenize,
+  escapeRegExp,
+} from "../scripts/Search.context";
+import { flashSearchMatch } from "../scripts/Search.highlight";
 
-export default function SearchBar({ markdownData }) {
+const highlightSearchText = (text, tokens) => {
+  if (tokens.length === 0) return text;
+
+  const pattern = new RegExp(`(${tokens.map(escapeRegExp).join("|")})`, "gi");
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1 ? (
+      <mark key={i} className="bg-yellow-300 dark:bg-yellow-600 rounded px-0.5">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+};
+
+export default function SearchBar() {
   const [isSearchOpen, setIsSearchOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
+  const [index, setIndex] = useState(null);
+  const [error, setError] = useState(null);
+  const router = useRouter();
 
   useEffect(() => {
     const handleKeyDown = (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.key === "f") {
-        e.preventDefault();
-        setIsSearchOpen((prev) => !prev);
-        setSearchQuery("");
-      }
-
       if (e.key === "Escape" && isSearchOpen) {
         setIsSearchOpen(false);
         setSearchQuery("");
       }
     };
 
+    const handleOpen = (e) => {
+      setIsSearchOpen(true);
+      setSearchQuery(e.detail?.query || "");
+    };
+
     window.addEventListener("keydown", handleKeyDown);
-    return () => window.removeEventListener("keydown", handleKeyDown);
+    window.addEventListener("search:open", handleOpen);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("search:open", handleOpen);
+    };
   }, [isSearchOpen]);
 
-  const highlightSearchText = (text) => {
-    if (!searchQuery.trim()) return text;
-
-    const parts = text.split(new RegExp(`(${searchQuery})`, "gi"));
-    return parts
-      .map((part) =>
-        part.toLowerCase() === searchQuery.toLowerCase()
-          ? `<mark class="bg-yellow-300 dark:bg-yellow-600 rounded px-1">${part}</mark>`
-          : part
-      )
-      .join("");
+  useEffect(() => {
+    if (!isSearchOpen || index) return;
+
+    loadSearchIndex()
+      .then(setIndex)
+      .catch((err) => setError(err.message));
+  }, [isSearchOpen, index]);
+
+  const tokens = useMemo(() => tokenize(searchQuery), [searchQuery]);
+  const groups = useMemo(
+    () => (index ? groupResults(searchIndex(index, searchQuery)) : []),
+    [index, searchQuery]
+  );
+
+  const closeSearch = () => {
+    setIsSearchOpen(false);
+    setSearchQuery("");
+  };
+
+  const handleResultClick = (url) => {
+    closeSearch();
+    router.push(url);
+    flashSearchMatch(url, tokens);
+  };
+
+  const renderResults = () => {
+    if (error) {
+      return (
+        <p className="text-sm text-red-600 dark:text-red-400 text-center py-8">
+          Could not load the search index. {error}
+        </p>
+      );
+    }
+
+    if (!index) {
+      return (
+        <div className="flex items-center justify-center gap-2 py-8 text-gray-500 dark:text-gray-400">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          <span className="text-sm">Loading search index...</span>
+        </div>
+      );
+    }
+
+    if (groups.length === 0) {
+      return (
+        <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+          No results found
+        </p>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        {groups.map((group) => (
+          <section key={group.key}>
+            <h3 className="flex items-center gap-2 px-3 pb-1 text-xs text-gray-500 dark:text-gray-400">
+              <FileText className="w-3.5 h-3.5 shrink-0" />
+              <span className="font-semibold">{group.title}</span>
+              <span className="capitalize">· {group.level}</span>
+            </h3>
+            <ul className="space-y-1">
+              {group.sections.map((result) => (
+                <li key={result.url}>
+                  <button
+                    onClick={() => handleResultClick(result.url)}
+                    className="w-full text-left px-3 py-2.5 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-all"
+                  >
+                    {result.heading && (
+                      <div className="flex items-center gap-1.5 text-sm font-medium text-black dark:text-white">
+                        <Hash className="w-3.5 h-3.5 shrink-0 text-gray-400" />
+                        <span className="truncate">
+                          {highlightSearchText(result.heading, tokens)}
+                        </span>
+                      </div>
+                    )}
+                    {result.snippet && (
+                      <p className="mt-1 text-sm text-gray-700 dark:text-gray-300 leading-relaxed">
+                        {highlightSearchText(result.snippet, tokens)}
+                      </p>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+    );
   };
 
   return (
     <>
       {/* Search Modal */}
       {isSearchOpen && (
-        <div className="fixed inset-0 z-40 bg-black/50 flex items-start justify-center pt-20">
+        <div
+          className="fixed inset-0 z-40 bg-black/50 flex items-start justify-center pt-20"
+          onClick={closeSearch}
+        >
           <div
             className="bg-white dark:bg-gray-800 rounded-lg shadow-2xl w-full max-w-2xl mx-4 overflow-hidden"
             onClick={(e) => e.stopPropagation()}
@@ -52,17 +162,14 @@ export default function SearchBar({ markdownData }) {
               <Search className="w-5 h-5 text-gray-600 dark:text-gray-400 flex-shrink-0" />
               <input
                 type="text"
-                placeholder="Search documentation..."
+                placeholder="Search all topics..."
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
                 autoFocus
                 className="flex-1 outline-none bg-transparent text-black dark:text-white text-lg placeholder-gray-500 dark:placeholder-gray-400"
               />
               <button
-                onClick={() => {
-                  setIsSearchOpen(false);
-                  setSearchQuery("");
-                }}
+                onClick={closeSearch}
                 className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-all"
               >
                 <X className="w-5 h-5 text-gray-600 dark:text-gray-400" />
@@ -74,24 +181,9 @@ export default function SearchBar({ markdownData }) {
               {searchQuery.trim() ? (
                 <div className="space-y-4">
                   <p className="text-sm text-gray-600 dark:text-gray-400">
-                    Search results for "{searchQuery}"
+                    Search results for &quot;{searchQuery}&quot;
                   </p>
-                  <div
-                    className="text-black dark:text-white text-sm leading-relaxed"
-                    dangerouslySetInnerHTML={{
-                      __html: markdownData?.content
-                        ? markdownData.content
-                            .split("\n")
-                            .filter((line) =>
-                              line
-                                .toLowerCase()
-                                .includes(searchQuery.toLowerCase())
-                            )
-                            .map(highlightSearchText)
-                            .join("<br/>") || "No results found"
-                        : "No results found",
-                    }}
-                  />
+                  {renderResults()}
                 </div>
               ) : (
                 <div className="text-center py-8">
@@ -109,4 +201,4 @@ export default function SearchBar({ markdownData }) {
       )}
     </>
   );
-}
\ No newline at end of file
+}
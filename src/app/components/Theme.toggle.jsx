@@ -0,0 +1,42 @@
+"use client";
+
+import React from "react";
+import { Sun, Moon, Monitor } from "lucide-react";
+import { Tooltip } from "./Tooltip.util";
+import { useTheme } from "../scripts/Theme.store";
+
+const options = [
+  { value: "light", label: "Light", icon: Sun },
+  { value: "dark", label: "Dark", icon: Moon },
+  { value: "system", label: "System", icon: Monitor },
+];
+
+export default function ThemeToggle() {
+  const { theme, setTheme } = useTheme();
+
+  return (
+    <div
+      role="radiogroup"
+      aria-label="Color theme"
+      className="flex items-center gap-0.5 p-0.5 rounded-lg border border-gray-300 dark:border-gray-600"
+    >
+      {options.map(({ value, label, icon: Icon }) => (
+        <Tooltip key={value} content={label} position="bottom">
+          <button
+            role="radio"
+            aria-checked={theme === value}
+            aria-label={`${label} theme`}
+            onClick={() => setTheme(value)}
+            className={`p-1.5 rounded-md transition-all ${
+              theme === value
+                ? "bg-gray-200 text-black dark:bg-gray-600 dark:text-white"
+                : "text-gray-500 hover:text-black dark:text-gray-400 dark:hover:text-white"
+            }`}
+          >
+            <Icon className="w-4 h-4" />
+          </button>
+        </Tooltip>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import Link from "next/link";
+import { ArrowLeft, ArrowRight, Clock } from "lucide-react";
+
+const PaginationCard = ({ link, direction }) => {
+  const isNext = direction === "next";
+
+  return (
+    <Link
+      href={`/learn/${link.slug}`}
+      rel={isNext ? "next" : "prev"}
+      className={`group flex flex-col gap-1 p-5 rounded-lg border border-doc-line hover:border-doc-accent-line hover:bg-doc-surface-muted transition-all ${
+        isNext ? "sm:col-start-2 text-right items-end" : ""
+      }`}
+    >
+      <span className="flex items-center gap-1.5 text-xs font-semibold uppercase tracking-wide text-doc-muted">
+        {!isNext && <ArrowLeft className="w-3.5 h-3.5" />}
+        {isNext ? "Next" : "Previous"}
+        {isNext && <ArrowRight className="w-3.5 h-3.5" />}
+      </span>
+      <span className="text-lg font-semibold text-doc-heading group-hover:text-doc-accent transition-colors">
+        {link.title}
+      </span>
+      <span className="flex items-center gap-2 text-sm text-doc-muted">
+        {link.levelTitle}
+        <span aria-hidden="true">·</span>
+        <Clock className="w-3.5 h-3.5" />
+        {link.readingTime} min read
+      </span>
+    </Link>
+  );
+};
+
+export default function TopicPagination({ previous, next }) {
+  if (!previous && !next) return null;
+
+  return (
+    <nav
+      aria-label="Topic navigation"
+      className="grid gap-4 sm:grid-cols-2 mt-12 pt-8 border-t-2 border-doc-line print:hidden"
+    >
+      {previous && <PaginationCard link={previous} direction="previous" />}
+      {next && <PaginationCard link={next} direction="next" />}
+    </nav>
+  );
+}
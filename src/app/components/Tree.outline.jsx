@@ -0,0 +1,145 @@
+"use client";
+
+import React, { useMemo, useState } from "react";
+import {
+  Check,
+  ChevronRight,
+  ChevronsDownUp,
+  ChevronsUpDown,
+  Copy,
+  Dot,
+} from "lucide-react";
+import { Tooltip } from "./Tooltip.util";
+import { parseAsciiTree } from "../lib/ascii.tree";
+
+// Every branch's path ("0.2.1"), for collapse-all.
+const branchPaths = (nodes, prefix = "") =>
+  nodes.flatMap((node, i) => {
+    const path = `${prefix}${i}`;
+    return node.children.length
+      ? [path, ...branchPaths(node.children, `${path}.`)]
+      : [];
+  });
+
+const TreeNodes = ({ nodes, prefix, collapsed, onToggle }) => (
+  <ul className={prefix ? "ml-3 pl-3 border-l border-doc-line" : ""}>
+    {nodes.map((node, i) => {
+      const path = `${prefix}${i}`;
+      const isBranch = node.children.length > 0;
+      const isOpen = !collapsed.includes(path);
+
+      return (
+        <li key={path} className="py-0.5">
+          {isBranch ? (
+            <button
+              onClick={() => onToggle(path)}
+              aria-expanded={isOpen}
+              className="flex items-center gap-1 -ml-1 px-1 rounded text-left text-doc-heading font-medium hover:bg-doc-surface"
+            >
+              <ChevronRight
+                className={`w-3.5 h-3.5 shrink-0 text-doc-muted transition-transform ${
+                  isOpen ? "rotate-90" : ""
+                }`}
+              />
+              {node.label}
+              {!isOpen && (
+                <span className="ml-1 text-xs font-normal text-doc-muted">
+                  ({node.children.length})
+                </span>
+              )}
+            </button>
+          ) : (
+            <span className="flex items-center gap-1 text-doc-body">
+              <Dot className="w-3.5 h-3.5 shrink-0 text-doc-muted" />
+              {node.label}
+            </span>
+          )}
+          {isBranch && isOpen && (
+            <TreeNodes
+              nodes={node.children}
+              prefix={`${path}.`}
+              collapsed={collapsed}
+              onToggle={onToggle}
+            />
+          )}
+        </li>
+      );
+    })}
+  </ul>
+);
+
+/**
+ * A ├──/└── outline drawn as a collapsible tree (parser in
+ * lib/ascii.tree.js). Copy still copies the original text. `fallback`
+ * renders when the block isn't a tree after all.
+ */
+export default function TreeOutline({ code, fallback }) {
+  const [collapsed, setCollapsed] = useState([]);
+  const [copied, setCopied] = useState(false);
+  const tree = useMemo(() => parseAsciiTree(code), [code]);
+  const branches = useMemo(
+    () => (tree ? branchPaths(tree.children) : []),
+    [tree]
+  );
+
+  if (!tree) return fallback;
+
+  const allCollapsed = branches.length > 0 && collapsed.length === branches.length;
+
+  const toggle = (path) =>
+    setCollapsed((prev) =>
+      prev.includes(path) ? prev.filter((p) => p !== path) : [...prev, path]
+    );
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(code);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <figure className="mb-6 rounded-lg border border-doc-line bg-doc-surface-muted">
+      <div className="flex items-center justify-between gap-4 px-4 py-2 border-b border-doc-line">
+        <figcaption className="text-sm font-semibold text-doc-heading">
+          {tree.label || "Outline"}
+        </figcaption>
+        <div className="flex items-center gap-1">
+          {branches.length > 0 && (
+            <button
+              onClick={() => setCollapsed(allCollapsed ? [] : branches)}
+              className="flex items-center gap-1.5 px-2 py-1 text-xs text-doc-muted hover:text-doc-heading rounded transition-colors"
+            >
+              {allCollapsed ? (
+                <ChevronsUpDown className="w-3.5 h-3.5" />
+              ) : (
+                <ChevronsDownUp className="w-3.5 h-3.5" />
+              )}
+              {allCollapsed ? "Expand all" : "Collapse all"}
+            </button>
+          )}
+          <button
+            onClick={handleCopy}
+            className="p-1.5 text-doc-muted hover:text-doc-heading rounded transition-colors"
+            aria-label="Copy as text"
+          >
+            <Tooltip content={copied ? "Copied" : "Copy"} position="bottom">
+              {copied ? (
+                <Check className="w-3.5 h-3.5" />
+              ) : (
+                <Copy className="w-3.5 h-3.5" />
+              )}
+            </Tooltip>
+          </button>
+        </div>
+      </div>
+      <div className="px-4 py-3 text-sm">
+        <TreeNodes
+          nodes={tree.children}
+          prefix=""
+          collapsed={collapsed}
+          onToggle={toggle}
+        />
+      </div>
+    </figure>
+  );
+}
@@ -0,0 +1,25 @@
+import Link from "next/link";
+import { History } from "lucide-react";
+
+// Shown above pages from an older version's content tree. `currentHref` is
+// the same topic in the current version, or the home page if it is gone.
+export default function VersionBanner({ version, currentVersion, currentHref }) {
+  return (
+    <div
+      role="note"
+      className="flex flex-wrap items-center gap-x-3 gap-y-2 mb-8 px-4 py-3 rounded-lg border border-amber-300 bg-amber-50 text-sm text-amber-900 dark:border-amber-500/40 dark:bg-amber-500/10 dark:text-amber-200"
+    >
+      <History className="w-4 h-4 shrink-0" aria-hidden="true" />
+      <p className="flex-1 min-w-0">
+        You&apos;re reading the documentation for <strong>MongoDB {version}</strong>,
+        an older release. The current version is {currentVersion}.
+      </p>
+      <Link
+        href={currentHref}
+        className="shrink-0 font-medium underline underline-offset-2 hover:opacity-80 print:hidden"
+      >
+        View the {currentVersion} docs
+      </Link>
+    </div>
+  );
+}
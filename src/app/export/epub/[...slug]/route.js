@@ -0,0 +1,27 @@
+import { notFound } from "next/navigation";
+import { buildEpub, getBook, getBookParams } from "@/app/lib/book.export";
+
+// /export/epub/<level> and /export/epub/<level>/<topic>: the book as an
+// EPUB download.
+export const dynamic = "force-static";
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return getBookParams().map((slug) => ({ slug }));
+}
+
+export async function GET(request, { params }) {
+  const { slug } = await params;
+  const book = getBook(...slug);
+
+  if (!book) {
+    notFound();
+  }
+
+  return new Response(buildEpub(book), {
+    headers: {
+      "Content-Type": "application/epub+zip",
+      "Content-Disposition": `attachment; filename="${book.id}.epub"`,
+    },
+  });
+}
@@ -0,0 +1,24 @@
+import { notFound } from "next/navigation";
+import { getBook, getBookParams, renderPrintBook } from "@/app/lib/book.export";
+
+// /export/print/<level> and /export/print/<level>/<topic>: the print-ready
+// book, saved as PDF from the browser's print dialog.
+export const dynamic = "force-static";
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return getBookParams().map((slug) => ({ slug }));
+}
+
+export async function GET(request, { params }) {
+  const { slug } = await params;
+  const book = getBook(...slug);
+
+  if (!book) {
+    notFound();
+  }
+
+  return new Response(renderPrintBook(book), {
+    headers: { "Content-Type": "text/html; charset=utf-8" },
+  });
+}
@@ -0,0 +1,49 @@
+import { ImageResponse } from "next/og";
+
+const SIZES = [192, 512];
+
+export function generateImageMetadata() {
+  return SIZES.map((size) => ({
+    id: String(size),
+    size: { width: size, height: size },
+    contentType: "image/png",
+  }));
+}
+
+// App icon for the manifest and home screens: a database drawn as three
+// stacked discs. The artwork stays inside the middle 60% so it also works
+// as a maskable icon.
+export default async function Icon({ id }) {
+  const size = Number(await id);
+  const unit = size / 100;
+
+  return new ImageResponse(
+    (
+      <div
+        style={{
+          width: "100%",
+          height: "100%",
+          display: "flex",
+          flexDirection: "column",
+          alignItems: "center",
+          justifyContent: "center",
+          gap: 4 * unit,
+          background: "#111827",
+        }}
+      >
+        {[0, 1, 2].map((disc) => (
+          <div
+            key={disc}
+            style={{
+              width: 56 * unit,
+              height: 16 * unit,
+              borderRadius: "50%",
+              background: disc === 0 ? "#34d399" : "#ffffff",
+            }}
+          />
+        ))}
+      </div>
+    ),
+    { width: size, height: size }
+  );
+}
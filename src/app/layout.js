@@ -1,7 +1,12 @@
 import { Geist, Geist_Mono } from "next/font/google"
 import "./globals.css"
 import Sidebar from "./components/Left.sidebar"
-import RightSidebar from "./components/Right.sidebar"
+import SearchBar from "./components/Search.bar"
+import CommandPalette from "./components/Command.palette"
+import BookmarksPanel from "./components/Bookmarks.panel"
+import OfflineIndicator from "./components/Offline.indicator"
+import { getNavigation, getVersions } from "./lib/mark.down"
+import { themeScript } from "./scripts/Theme.script"
 
 const geistSans = Geist({
   variable: "--font-geist-sans",
@@ -16,18 +21,37 @@ const geistMono = Geist_Mono({
 export const metadata = {
   title: "MongoDB Documentation | Gyan's",
   description: "This is the documentation of mongodb",
+  appleWebApp: { title: "MongoDB Docs", statusBarStyle: "default" },
+}
+
+export const viewport = {
+  themeColor: "#111827",
 }
 
 export default function RootLayout({ children }) {
+  const navigation = getNavigation()
+  const versions = getVersions().map((version) => ({
+    ...version,
+    navigation: getNavigation(version.id),
+  }))
+
   return (
     <html lang="en" suppressHydrationWarning>
+      <head>
+        <script dangerouslySetInnerHTML={{ __html: themeScript }} />
+      </head>
       <body
-        className={`${geistSans.variable} ${geistMono.variable} antialiased`}
+        className={`${geistSans.variable} ${geistMono.variable} antialiased bg-doc-surface text-doc-body`}
       >
+        <SearchBar />
+        <CommandPalette navigation={navigation} />
+        <BookmarksPanel navigation={navigation} />
+        <OfflineIndicator />
+
         <div className="flex min-h-screen">
-          <Sidebar />
+          <Sidebar navigation={navigation} versions={versions} />
 
-          <main className="flex-1">
+          <main className="flex-1 min-w-0 pt-14 lg:pt-0 print:pt-0">
             {children}
           </main>
         </div>
@@ -0,0 +1,146 @@
+import { notFound } from "next/navigation";
+import {
+  CURRENT_VERSION,
+  getAdjacentTopics,
+  getLevelEntry,
+  getMarkdownContent,
+  getNavigation,
+  getTopicEntry,
+  getVersions,
+  parseTopicPath,
+} from "@/app/lib/mark.down";
+import PageHeader from "@/app/components/Page.header";
+import MarkdownRenderer from "@/app/components/Mark.down.render";
+import RightSidebar from "@/app/components/Right.sidebar";
+import DownloadMenu from "@/app/components/Download.menu";
+import CompleteToggle from "@/app/components/Complete.toggle";
+import ContentsDropdown from "@/app/components/Contents.dropdown";
+import TopicPagination from "@/app/components/Topic.pagination";
+import VersionBanner from "@/app/components/Version.banner";
+
+// /learn/<level>/<topic> for the current version and
+// /learn/<version>/<level>/<topic> for older ones. Only the paths returned
+// by generateStaticParams exist; anything else is a 404.
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return getVersions().flatMap(({ id: version }) =>
+    getNavigation(version).flatMap((section) =>
+      section.children.map(({ slug }) => {
+        const segments = slug.split("/");
+        const { level, topic } = parseTopicPath(segments);
+
+        if (!getMarkdownContent(level, topic, version)) {
+          throw new Error(
+            `Navigation entry "${slug}" has no readable markdown file for MongoDB ${version}`
+          );
+        }
+
+        return { slug: segments };
+      })
+    )
+  );
+}
+
+export async function generateMetadata({ params }) {
+  const { slug } = await params;
+  const { version, level, topic } = parseTopicPath(slug) || {};
+  const markdownData = level && getMarkdownContent(level, topic, version);
+
+  if (!markdownData) {
+    return {
+      title: "Topic Not Found",
+      description: "The requested MongoDB topic could not be found.",
+    };
+  }
+
+  const { title, description, keywords, author, lastUpdated } = markdownData;
+  const isCurrent = version === CURRENT_VERSION;
+  const pageTitle = isCurrent
+    ? `${title} | MongoDB Documentation`
+    : `${title} (MongoDB ${version}) | MongoDB Documentation`;
+  const summary =
+    description ||
+    `Learn about ${title} in MongoDB. Comprehensive guide covering ${level} level concepts.`;
+
+  return {
+    title: pageTitle,
+    description: summary,
+    keywords,
+    authors: author ? [{ name: author }] : undefined,
+    openGraph: {
+      title: pageTitle,
+      description: summary,
+      type: "article",
+      modifiedTime: lastUpdated,
+      authors: author ? [author] : undefined,
+      tags: keywords,
+    },
+    twitter: {
+      card: "summary_large_image",
+      title: pageTitle,
+      description: summary,
+    },
+  };
+}
+
+export default async function TopicPage({ params }) {
+  const { slug } = await params;
+  const { version, level, topic } = parseTopicPath(slug) || {};
+  const entry = level && getTopicEntry(level, topic, version);
+  const markdownData = entry?.nav && getMarkdownContent(level, topic, version);
+
+  if (!markdownData) {
+    notFound();
+  }
+
+  const isCurrent = version === CURRENT_VERSION;
+  const levelTitle = getLevelEntry(level, version)?.title;
+
+  return (
+    <div className="flex flex-1 min-h-screen">
+      {/* Main Content */}
+      <div className="flex-1 min-w-0 max-w-4xl mx-auto px-4 pb-8 sm:px-8 md:pb-12 xl:pt-12">
+        <ContentsDropdown content={markdownData.content} />
+        {!isCurrent && (
+          <VersionBanner
+            version={version}
+            currentVersion={CURRENT_VERSION}
+            currentHref={
+              getTopicEntry(level, topic)?.nav ? `/learn/${level}/${topic}` : "/"
+            }
+          />
+        )}
+        <PageHeader
+          title={markdownData.title}
+          description={markdownData.description}
+          levelTitle={levelTitle}
+          author={markdownData.author}
+          lastUpdated={markdownData.lastUpdated}
+          mongoVersion={markdownData.mongoVersion}
+          actions={
+            <div className="flex items-center gap-2">
+              <CompleteToggle topicSlug={entry.slug} />
+              {isCurrent && (
+                <DownloadMenu level={level} topic={topic} levelTitle={levelTitle} />
+              )}
+            </div>
+          }
+        />
+        <MarkdownRenderer
+          content={markdownData.content}
+          playground={markdownData.frontmatter.playground}
+          topicSlug={entry.slug}
+          anchors={markdownData.frontmatter.anchors}
+        />
+        <TopicPagination {...getAdjacentTopics(level, topic, version)} />
+      </div>
+
+      {/* Right Sidebar - Contents */}
+      <RightSidebar
+        content={markdownData.content}
+        topicSlug={entry.slug}
+      />
+    </div>
+  );
+}
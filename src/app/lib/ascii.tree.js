@@ -0,0 +1,37 @@
+// One `├── label` / `└── label` line. The prefix holds a 4-column step per
+// level, either `│   ` (the parent has later siblings) or blanks.
+const BRANCH = /^((?:[│|] {3}| {4})*)[├└]── ?(.*)$/
+
+/**
+ * Reads a `tree`-style outline (an optional root line followed by ├──/└──
+ * branches) into `{ label, children: [{ label, children }] }`. Returns
+ * null when any line doesn't fit the shape, so boxes, arrows and prose
+ * that happen to use box-drawing characters stay plain text.
+ */
+export function parseAsciiTree(code) {
+  const lines = code.replace(/\s+$/, '').split('\n').filter(line => line.trim())
+  if (lines.length < 2) return null
+
+  const root = { label: '', children: [] }
+  if (!BRANCH.test(lines[0])) {
+    root.label = lines.shift().trim().replace(/:$/, '')
+  }
+
+  // stack[d] is the last node seen at depth d; depth 0 is the root.
+  const stack = [root]
+  for (const line of lines) {
+    const match = BRANCH.exec(line)
+    if (!match) return null
+
+    const depth = match[1].length / 4 + 1
+    const parent = stack[depth - 1]
+    if (!parent) return null
+
+    const node = { label: match[2].trim(), children: [] }
+    parent.children.push(node)
+    stack.length = depth
+    stack.push(node)
+  }
+
+  return root
+}
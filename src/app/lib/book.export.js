@@ -0,0 +1,424 @@
+import { unified } from 'unified'
+import remarkParse from 'remark-parse'
+import remarkGfm from 'remark-gfm'
+import remarkRehype from 'remark-rehype'
+import { visit } from 'unist-util-visit'
+import { toHtml } from 'hast-util-to-html'
+import { refractor } from 'refractor/core'
+import bash from 'refractor/bash'
+import c from 'refractor/c'
+import cpp from 'refractor/cpp'
+import csharp from 'refractor/csharp'
+import docker from 'refractor/docker'
+import go from 'refractor/go'
+import ini from 'refractor/ini'
+import java from 'refractor/java'
+import javascript from 'refractor/javascript'
+import json from 'refractor/json'
+import python from 'refractor/python'
+import sql from 'refractor/sql'
+import typescript from 'refractor/typescript'
+import yaml from 'refractor/yaml'
+import { getAllTopics, getLevelEntry, getMarkdownContent, getNavigation, getTopicEntry } from './mark.down'
+import { extractHeadings, remarkHeadingIds } from './heading.ids'
+import { remarkCallouts } from './callouts'
+import { remarkCodeGroups } from './code.groups'
+import { remarkVersionBadges } from './version.badges'
+import { parseQuiz, shuffledOrder } from './quiz.block'
+import { bookStyles } from './book.styles'
+import { createZip } from './zip.archive'
+import { resolveLanguage } from '../scripts/Code.languages'
+
+// Same grammars as the on-page code blocks (Mark.down.render.jsx).
+;[bash, c, cpp, csharp, docker, go, ini, java, javascript, json, python, sql, typescript, yaml]
+  .forEach(grammar => refractor.register(grammar))
+
+// Links to topics outside the book point here; set SITE_URL when exporting
+// files that will be read away from the site.
+const siteUrl = (process.env.SITE_URL || '').replace(/\/$/, '')
+
+const LEARN_LINK = /^\/learn\/([^/#?]+)\/([^/#?]+)\/?(?:#(.*))?$/
+
+// Deepest heading listed in a book's table of contents.
+const TOC_DEPTH = 3
+
+const element = (tagName, properties = {}, children = []) =>
+  ({ type: 'element', tagName, properties, children: children.filter(Boolean) })
+
+const text = (value) => ({ type: 'text', value })
+
+// Quiz text may hold `inline code`, as on the page.
+const inline = (value) =>
+  String(value).split(/(`[^`]+`)/).filter(Boolean).map(part =>
+    part.startsWith('`') && part.endsWith('`') ? element('code', {}, [text(part.slice(1, -1))]) : text(part)
+  )
+
+// Quizzes print as questions followed by an answer key.
+const quizToHast = (source) => {
+  const { id, questions } = parseQuiz(source)
+  const letter = (index) => String.fromCharCode(65 + index)
+
+  const answerOf = (question, i) => {
+    if (question.type === 'single') return letter(question.answer)
+    if (question.type === 'multiple') return question.answer.map(letter).join(', ')
+    if (question.type === 'order') {
+      const shown = shuffledOrder(question.items.length, `${id}-${i}`)
+      return question.items.map(item => letter(shown.indexOf(question.items.indexOf(item)))).join(' → ')
+    }
+    return question.answer
+  }
+
+  return element('section', { className: ['quiz'] }, [
+    element('p', {}, [element('strong', {}, [text('Check your understanding')])]),
+    element('ol', {}, questions.map((question, i) => {
+      const choices = question.type === 'order'
+        ? shuffledOrder(question.items.length, `${id}-${i}`).map(index => question.items[index])
+        : question.options
+      return element('li', {}, [
+        element('p', {}, [
+          ...inline(question.question),
+          question.type === 'order' && text(' (put in order)'),
+          question.type === 'multiple' && text(' (choose all that apply)')
+        ]),
+        choices && element('ul', {}, choices.map(choice => element('li', {}, inline(choice))))
+      ])
+    })),
+    element('p', { className: ['quiz-answers'] }, [
+      text('Answers: '),
+      ...questions.flatMap((question, i) => [
+        text(`${i ? '; ' : ''}${i + 1}. `),
+        ...(question.type === 'query' ? [element('code', {}, [text(answerOf(question, i))])] : [text(answerOf(question, i))])
+      ])
+    ])
+  ])
+}
+
+// Fenced code: highlighted with refractor and captioned with the language
+// (or tab) name. Mermaid diagrams need a browser to draw, so books carry
+// their source.
+const codeHandler = (state, node) => {
+  const code = node.value
+  if (node.lang?.toLowerCase() === 'quiz') {
+    try {
+      return quizToHast(code)
+    } catch {
+      // Not a valid quiz; print the YAML instead.
+    }
+  }
+
+  const language = resolveLanguage(node.lang, code)
+  const caption = node.data?.hProperties?.dataTab ||
+    (language.id === 'mermaid' ? 'Diagram (Mermaid source)' : language.label)
+  const highlighted = language.prism && refractor.registered(language.prism)
+    ? refractor.highlight(code, language.prism).children
+    : [text(code)]
+
+  return element('figure', { className: ['code-block'] }, [
+    caption && element('figcaption', {}, [text(caption)]),
+    element('pre', { className: [`language-${language.id}`] }, [element('code', {}, highlighted)])
+  ])
+}
+
+const processor = unified()
+  .use(remarkParse)
+  .use(remarkGfm)
+  .use(remarkVersionBadges)
+  .use(remarkHeadingIds)
+  .use(remarkCallouts)
+  .use(remarkCodeGroups)
+  .use(remarkRehype, { handlers: { code: codeHandler } })
+
+/**
+ * Renders one chapter's markdown to a hast tree. `idPrefix` keeps heading
+ * ids unique when several chapters share a document; `resolveLink(level,
+ * topic, hash)` decides where links to other topics go.
+ */
+const renderChapter = (content, { idPrefix, resolveLink }) => {
+  const tree = processor.runSync(processor.parse(content))
+
+  visit(tree, 'element', (node, index, parent) => {
+    const { properties } = node
+
+    if (properties.dataCallout) {
+      node.properties = { className: ['callout', `callout-${properties.dataCallout}`] }
+      node.children.unshift(element('p', { className: ['callout-title'] }, [text(properties.dataTitle)]))
+    }
+    // GFM task list checkboxes; boolean attributes aren't valid XHTML.
+    if (node.tagName === 'input' && properties.type === 'checkbox') {
+      parent.children[index] = text(properties.checked ? '☑' : '☐')
+      return
+    }
+    if (properties.dataAdded) {
+      node.properties = { className: ['version-badge'] }
+      node.children = [text(`Added in ${properties.dataAdded}`)]
+    }
+    if (properties.dataCodeGroup !== undefined) {
+      node.properties = { className: ['code-group'] }
+    }
+    if (properties.id) {
+      properties.id = `${idPrefix}${properties.id}`
+    }
+    if (node.tagName === 'a' && typeof properties.href === 'string') {
+      const href = properties.href
+      const match = LEARN_LINK.exec(href)
+      if (href.startsWith('#')) {
+        properties.href = `#${idPrefix}${href.slice(1)}`
+      } else if (match) {
+        properties.href = resolveLink(match[1], match[2], match[3] && decodeURIComponent(match[3]))
+      } else if (/^https?:/.test(href)) {
+        properties.className = ['external']
+      }
+    }
+  })
+
+  return tree.children
+}
+
+// h2/h3 of a chapter as nested `{ id, text, children }`.
+const headingTree = (content) => {
+  const root = { children: [] }
+  const stack = [{ level: 1, node: root }]
+
+  for (const heading of extractHeadings(content)) {
+    if (heading.level < 2 || heading.level > TOC_DEPTH) continue
+    while (stack.at(-1).level >= heading.level) stack.pop()
+    const node = { id: heading.id, text: heading.text, children: [] }
+    stack.at(-1).node.children.push(node)
+    stack.push({ level: heading.level, node })
+  }
+
+  return root.children
+}
+
+/**
+ * A topic (`level` and `topic`) or a whole level (`level` only) gathered as
+ * a book: `{ id, title, subtitle, description, chapters }`, or null if it
+ * doesn't exist; only a topic book has a description. Chapters come from
+ * getMarkdownContent in sidebar order.
+ */
+export function getBook(level, topic) {
+  const levelEntry = getLevelEntry(level)
+  if (!levelEntry) return null
+
+  const topics = topic ? [topic] : getAllTopics(level)
+  const chapters = topics.flatMap(name => {
+    const entry = getTopicEntry(level, name)
+    const markdown = entry?.nav && getMarkdownContent(level, name)
+    return markdown
+      ? [{
+          id: `${level}-${name}`,
+          level,
+          topic: name,
+          levelTitle: levelEntry.title,
+          title: markdown.title,
+          description: markdown.description,
+          content: markdown.content,
+          anchors: markdown.frontmatter.anchors || {},
+          toc: headingTree(markdown.content)
+        }]
+      : []
+  })
+  if (chapters.length === 0) return null
+
+  return topic
+    ? {
+        id: `mongodb-${level}-${topic}`,
+        title: chapters[0].title,
+        subtitle: levelEntry.title,
+        description: chapters[0].description,
+        chapters
+      }
+    : {
+        id: `mongodb-${level}`,
+        title: levelEntry.title,
+        subtitle: `${chapters.length} topics`,
+        chapters
+      }
+}
+
+/** Every book the site offers: each level, and each topic on its own. */
+export function getBookParams() {
+  return getNavigation().flatMap(section => [
+    [section.id],
+    ...section.children.map(({ slug }) => slug.split('/'))
+  ])
+}
+
+// Where a link to `level/topic#hash` goes: into the book when the topic is
+// one of its chapters (`inBook`), otherwise to the live site.
+const linkResolver = (book, inBook) => (level, topic, hash) => {
+  const chapter = book.chapters.find(entry => entry.level === level && entry.topic === topic)
+  if (!chapter) return `${siteUrl}/learn/${level}/${topic}${hash ? `#${hash}` : ''}`
+  return inBook(chapter, hash ? chapter.anchors[hash] || hash : '')
+}
+
+const formatDate = (date) =>
+  date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+
+const coverHast = (book, date) => [
+  element('p', { className: ['cover-kicker'] }, [text('MongoDB Documentation')]),
+  element('h1', {}, [text(book.title)]),
+  element('p', { className: ['cover-subtitle'] }, [text(book.subtitle)]),
+  book.description && element('p', {}, [text(book.description)]),
+  element('p', { className: ['cover-meta'] }, [text(`Exported ${formatDate(date)}`)])
+]
+
+const tocList = (entries, href) =>
+  element('ol', {}, entries.map(entry =>
+    element('li', {}, [
+      element('a', { href: href(entry.id) }, [text(entry.text)]),
+      entry.children.length > 0 && tocList(entry.children, href)
+    ])
+  ))
+
+// Chapters with their h2/h3 headings; `chapterHref(chapter)` and
+// `headingHref(chapter, id)` differ between the print view and the EPUB.
+const bookToc = (book, chapterHref, headingHref) =>
+  element('ol', {}, book.chapters.map(chapter =>
+    element('li', {}, [
+      element('a', { href: chapterHref(chapter) }, [text(chapter.title)]),
+      chapter.toc.length > 0 && tocList(chapter.toc, id => headingHref(chapter, id))
+    ])
+  ))
+
+const chapterHeader = (chapter) =>
+  element('header', { className: ['chapter-header'] }, [
+    element('p', { className: ['chapter-level'] }, [text(chapter.levelTitle)]),
+    element('h1', {}, [text(chapter.title)]),
+    chapter.description && element('p', { className: ['chapter-description'] }, [text(chapter.description)])
+  ])
+
+/**
+ * The book as one HTML document laid out for printing: cover, contents,
+ * then every chapter, with in-book links pointing inside the document.
+ * Printing it from a browser ("Save as PDF") gives the PDF edition; with
+ * `?print` in the URL the print dialog opens by itself.
+ */
+export function renderPrintBook(book, date = new Date()) {
+  const chapterId = (chapter) => `${chapter.id}--`
+  const resolveLink = linkResolver(book, (chapter, hash) => `#${chapterId(chapter)}${hash}`)
+
+  const body = element('body', {}, [
+    element('section', { className: ['cover'] }, coverHast(book, date)),
+    element('nav', { className: ['toc'], ariaLabel: 'Contents' }, [
+      element('h2', {}, [text('Contents')]),
+      bookToc(book, chapter => `#${chapterId(chapter)}`, (chapter, id) => `#${chapterId(chapter)}${id}`)
+    ]),
+    ...book.chapters.map(chapter =>
+      element('article', { className: ['chapter'], id: chapterId(chapter) }, [
+        chapterHeader(chapter),
+        ...renderChapter(chapter.content, { idPrefix: chapterId(chapter), resolveLink })
+      ])
+    ),
+    element('script', {}, [text("if (/[?&]print\\b/.test(location.search)) addEventListener('load', () => setTimeout(print, 300))")])
+  ])
+
+  return toHtml({
+    type: 'root',
+    children: [
+      { type: 'doctype' },
+      element('html', { lang: 'en' }, [
+        element('head', {}, [
+          element('meta', { charSet: 'utf-8' }),
+          element('meta', { name: 'viewport', content: 'width=device-width, initial-scale=1' }),
+          element('title', {}, [text(`${book.title} | MongoDB Documentation`)]),
+          element('style', {}, [text(bookStyles(book.title))])
+        ]),
+        body
+      ])
+    ]
+  })
+}
+
+const XHTML_OPTIONS = { closeSelfClosing: true, tightSelfClosing: false, collapseEmptyAttributes: false }
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+const xhtmlDocument = (title, children, bodyClass = '') => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="book.css" />
+</head>
+<body${bodyClass ? ` class="${bodyClass}"` : ''}>
+${toHtml({ type: 'root', children }, XHTML_OPTIONS)}
+</body>
+</html>
+`
+
+/**
+ * The book as an EPUB 3 file (bytes): a cover page, a navigation document
+ * built from the heading tree, and one XHTML file per chapter with links
+ * between chapters kept inside the book.
+ */
+export function buildEpub(book, date = new Date()) {
+  const fileOf = (chapter) => `chapter-${book.chapters.indexOf(chapter) + 1}.xhtml`
+  const resolveLink = linkResolver(book, (chapter, hash) => `${fileOf(chapter)}${hash ? `#${hash}` : ''}`)
+  const modified = `${date.toISOString().slice(0, 19)}Z`
+
+  const chapters = book.chapters.map(chapter => ({
+    name: fileOf(chapter),
+    data: xhtmlDocument(chapter.title, [
+      element('section', { className: ['chapter'], 'epub:type': 'chapter' }, [
+        chapterHeader(chapter),
+        ...renderChapter(chapter.content, { idPrefix: '', resolveLink })
+      ])
+    ])
+  }))
+
+  const nav = xhtmlDocument('Contents', [
+    element('nav', { 'epub:type': 'toc', id: 'toc' }, [
+      element('h2', {}, [text('Contents')]),
+      bookToc(book, fileOf, (chapter, id) => `${fileOf(chapter)}#${id}`)
+    ])
+  ], 'toc')
+
+  const items = [
+    '<item id="css" href="book.css" media-type="text/css"/>',
+    '<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>',
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    ...chapters.map((chapter, i) => `<item id="chapter-${i + 1}" href="${chapter.name}" media-type="application/xhtml+xml"/>`)
+  ]
+  const spine = ['cover', 'nav', ...chapters.map((_, i) => `chapter-${i + 1}`)]
+
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:mongodb-docs:${escapeXml(book.id)}</dc:identifier>
+    <dc:title>${escapeXml(book.title)}</dc:title>
+    <dc:language>en</dc:language>
+    <dc:publisher>MongoDB Documentation</dc:publisher>
+    ${book.description ? `<dc:description>${escapeXml(book.description)}</dc:description>` : ''}
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    ${items.join('\n    ')}
+  </manifest>
+  <spine>
+    ${spine.map(id => `<itemref idref="${id}"/>`).join('\n    ')}
+  </spine>
+</package>
+`
+
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip' },
+    {
+      name: 'META-INF/container.xml',
+      data: `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`
+    },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/book.css', data: bookStyles(book.title) },
+    { name: 'OEBPS/cover.xhtml', data: xhtmlDocument(book.title, [element('section', { className: ['cover'], 'epub:type': 'cover' }, coverHast(book, date))]) },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    ...chapters.map(chapter => ({ name: `OEBPS/${chapter.name}`, data: chapter.data }))
+  ], date)
+}
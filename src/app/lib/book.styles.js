@@ -0,0 +1,93 @@
+// Stylesheet shared by the print view (saved as PDF from the browser) and
+// the EPUB. Code tokens use the class names refractor emits.
+
+/**
+ * CSS for an exported book. `title` runs in the page header when printed;
+ * EPUB readers ignore the @page rules.
+ */
+export function bookStyles(title) {
+  return `
+@page {
+  size: A4;
+  margin: 20mm 18mm 22mm;
+  @top-center { content: ${JSON.stringify(title)}; font: 9pt system-ui, sans-serif; color: #6b7280; }
+  @bottom-center { content: counter(page); font: 9pt system-ui, sans-serif; color: #6b7280; }
+}
+@page :first {
+  @top-center { content: none; }
+  @bottom-center { content: none; }
+}
+
+html { color: #1f2937; background: #fff; }
+body { margin: 0 auto; max-width: 46rem; padding: 2rem 1.5rem; font: 11pt/1.6 Georgia, "Times New Roman", serif; }
+h1, h2, h3, h4, figcaption, .cover, .toc, .callout-title { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; }
+h1, h2, h3, h4 { color: #111827; line-height: 1.25; break-after: avoid; }
+h1 { font-size: 2em; margin: 0 0 0.5em; }
+h2 { font-size: 1.45em; margin: 1.8em 0 0.6em; padding-bottom: 0.2em; border-bottom: 1px solid #e5e7eb; }
+h3 { font-size: 1.2em; margin: 1.5em 0 0.5em; }
+h4 { font-size: 1.05em; margin: 1.2em 0 0.4em; }
+p, li { orphans: 3; widows: 3; }
+a { color: #1d4ed8; }
+img { max-width: 100%; }
+
+.cover { min-height: 85vh; display: flex; flex-direction: column; justify-content: center; break-after: page; }
+.cover-kicker { text-transform: uppercase; letter-spacing: 0.12em; font-size: 0.8em; color: #059669; font-weight: 600; }
+.cover h1 { font-size: 2.6em; margin: 0.3em 0; border: 0; }
+.cover-subtitle { font-size: 1.2em; color: #4b5563; margin: 0; }
+.cover-meta { margin-top: 3em; font-size: 0.85em; color: #6b7280; }
+
+.toc { break-after: page; }
+.toc h2 { border: 0; }
+.toc ol { list-style: none; padding-left: 1.2em; margin: 0.2em 0; }
+.toc > ol { padding-left: 0; }
+.toc > ol > li { margin-top: 0.6em; font-weight: 600; }
+.toc li li { font-weight: normal; font-size: 0.95em; }
+.toc a { color: inherit; text-decoration: none; }
+
+.chapter { break-before: page; }
+.chapter-header { margin-bottom: 2em; padding-bottom: 1em; border-bottom: 2px solid #e5e7eb; }
+.chapter-level { margin: 0 0 0.4em; text-transform: uppercase; letter-spacing: 0.08em; font: 600 0.75em system-ui, sans-serif; color: #6b7280; }
+.chapter-description { color: #4b5563; font-size: 1.05em; margin: 0; }
+
+code { font: 0.88em/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; background: #f3f4f6; padding: 0.1em 0.3em; border-radius: 3px; }
+figure.code-block { margin: 1.2em 0; break-inside: avoid; }
+figure.code-block figcaption { font-size: 0.75em; color: #6b7280; margin-bottom: 0.3em; }
+pre { margin: 0; padding: 0.8em 1em; background: #f8fafc; border: 1px solid #e5e7eb; border-radius: 6px; white-space: pre-wrap; overflow-wrap: anywhere; }
+pre code { background: none; padding: 0; font-size: 0.82em; }
+.token.comment, .token.prolog, .token.doctype, .token.cdata { color: #6b7280; font-style: italic; }
+.token.punctuation { color: #4b5563; }
+.token.property, .token.tag, .token.constant, .token.symbol, .token.deleted, .token.key { color: #b45309; }
+.token.boolean, .token.number { color: #7c3aed; }
+.token.selector, .token.attr-name, .token.string, .token.char, .token.builtin, .token.inserted { color: #047857; }
+.token.operator, .token.entity, .token.url { color: #374151; }
+.token.atrule, .token.attr-value, .token.keyword { color: #1d4ed8; }
+.token.function, .token.class-name { color: #be185d; }
+.token.regex, .token.important, .token.variable { color: #c2410c; }
+
+table { width: 100%; border-collapse: collapse; margin: 1.2em 0; font-size: 0.9em; break-inside: avoid; }
+th, td { border: 1px solid #e5e7eb; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }
+th { background: #f9fafb; }
+blockquote { margin: 1.2em 0; padding: 0.2em 1em; border-left: 4px solid #93c5fd; color: #374151; font-style: italic; }
+
+.version-badge { display: inline-block; margin: 0 0.3em; padding: 0 0.5em; border: 1px solid #6ee7b7; border-radius: 999px; font: 500 0.7rem/1.6 system-ui, sans-serif; color: #047857; vertical-align: middle; white-space: nowrap; }
+
+.callout { margin: 1.2em 0; padding: 0.6em 1em; border-left: 4px solid #3b82f6; background: #eff6ff; break-inside: avoid; }
+.callout-title { margin: 0 0 0.3em; font-weight: 600; }
+.callout > :last-child { margin-bottom: 0; }
+.callout-tip { border-color: #10b981; background: #ecfdf5; }
+.callout-important { border-color: #8b5cf6; background: #f5f3ff; }
+.callout-warning { border-color: #f59e0b; background: #fffbeb; }
+.callout-danger { border-color: #ef4444; background: #fef2f2; }
+
+.quiz { margin: 1.2em 0; padding: 0.8em 1em; border: 1px solid #e5e7eb; border-radius: 6px; }
+.quiz ol { padding-left: 1.4em; }
+.quiz ul { list-style: upper-alpha; }
+.quiz-answers { font-size: 0.85em; color: #4b5563; }
+
+@media print {
+  body { max-width: none; padding: 0; }
+  a { color: inherit; }
+  a.external::after { content: " (" attr(href) ")"; font-size: 0.85em; color: #6b7280; overflow-wrap: anywhere; }
+}
+`
+}
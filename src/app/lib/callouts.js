@@ -0,0 +1,64 @@
+import { visit } from 'unist-util-visit'
+
+/**
+ * Callout types, written as GitHub-style alerts:
+ *
+ *   > [!WARNING]
+ *   > This drops the collection and every index on it.
+ *
+ * Text after the marker replaces the default title. `role` is the ARIA
+ * role of the rendered block: warnings and dangers are alerts, the rest
+ * are notes.
+ */
+export const calloutTypes = {
+  note: { title: 'Note', role: 'note' },
+  tip: { title: 'Tip', role: 'note' },
+  important: { title: 'Important', role: 'note' },
+  warning: { title: 'Warning', role: 'alert' },
+  danger: { title: 'Danger', role: 'alert' }
+}
+
+// GitHub spells danger "CAUTION"; both work.
+const aliases = { caution: 'danger' }
+
+const MARKER = /^\[!(\w+)\][ \t]*([^\n]*)(\n|$)/
+
+export const resolveCalloutType = (name) => {
+  const type = name.toLowerCase()
+  const resolved = aliases[type] || type
+  return calloutTypes[resolved] ? resolved : null
+}
+
+/**
+ * Remark plugin that turns blockquotes opening with `[!TYPE]` into
+ * callouts. The marker line is removed and the blockquote is rendered as
+ * an <aside> carrying data-callout (the type) and data-title.
+ * Blockquotes with an unknown marker are left as they are.
+ */
+export function remarkCallouts() {
+  return (tree) => {
+    visit(tree, 'blockquote', (node) => {
+      const paragraph = node.children[0]
+      const text = paragraph?.type === 'paragraph' ? paragraph.children[0] : null
+      const match = text?.type === 'text' && MARKER.exec(text.value)
+      if (!match) return
+
+      const type = resolveCalloutType(match[1])
+      if (!type) return
+
+      text.value = text.value.slice(match[0].length)
+      if (!text.value) paragraph.children.shift()
+      if (paragraph.children.length === 0) node.children.shift()
+
+      node.data = {
+        ...node.data,
+        hName: 'aside',
+        hProperties: {
+          ...node.data?.hProperties,
+          dataCallout: type,
+          dataTitle: match[2].trim() || calloutTypes[type].title
+        }
+      }
+    })
+  }
+}
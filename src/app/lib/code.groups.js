@@ -0,0 +1,72 @@
+import { visit, SKIP } from 'unist-util-visit'
+
+// `tab`, `tab=Label` or `tab="Node.js"` in a fence's info string.
+const TAB = /(?:^|\s)tab(?:=(?:"([^"]*)"|'([^']*)'|(\S+)))?(?=\s|$)/
+
+/**
+ * Reads the tab marker from a code fence's meta. Returns null when the
+ * fence isn't a tab, '' for a bare `tab` (the label then comes from the
+ * language) or the explicit label.
+ */
+export const parseTabMeta = (meta) => {
+  const match = meta && TAB.exec(meta)
+  if (!match) return null
+  return (match[1] ?? match[2] ?? match[3] ?? '').trim()
+}
+
+/**
+ * Remark plugin that merges consecutive code fences marked `tab` into one
+ * group, rendered as a <div data-code-group> holding the fences in order.
+ * Each fence's label travels as data-tab on its <code> element:
+ *
+ *   ```mongosh tab
+ *   db.users.find({ age: { $gt: 30 } })
+ *   ```
+ *   ```javascript tab="Node.js"
+ *   await users.find({ age: { $gt: 30 } }).toArray()
+ *   ```
+ *
+ * A single tab fence stays a plain code block.
+ */
+export function remarkCodeGroups() {
+  return (tree) => {
+    visit(tree, (node) => {
+      if (node.type === 'codeGroup') return SKIP
+      if (!node.children) return
+
+      const children = []
+      let run = []
+
+      const flush = () => {
+        if (run.length > 1) {
+          children.push({
+            type: 'codeGroup',
+            children: run,
+            data: { hName: 'div', hProperties: { dataCodeGroup: '' } }
+          })
+        } else {
+          children.push(...run)
+        }
+        run = []
+      }
+
+      for (const child of node.children) {
+        const label = child.type === 'code' ? parseTabMeta(child.meta) : null
+        if (label === null) {
+          flush()
+          children.push(child)
+          continue
+        }
+
+        child.data = {
+          ...child.data,
+          hProperties: { ...child.data?.hProperties, dataTab: label }
+        }
+        run.push(child)
+      }
+      flush()
+
+      node.children = children
+    })
+  }
+}
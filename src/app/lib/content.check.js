@@ -0,0 +1,239 @@
+import fs from 'fs'
+import path from 'path'
+import matter from 'gray-matter'
+import { visit } from 'unist-util-visit'
+import { toString } from 'mdast-util-to-string'
+import {
+  contentDirectory,
+  compareVersions,
+  CURRENT_VERSION,
+  getContentManifest,
+  getMarkdownContent,
+  getVersions,
+  HOME_PAGE,
+  LEVEL_INDEX_FILE,
+  VERSION_FOLDER
+} from './mark.down'
+import { checkFrontmatter } from './front.matter'
+import { parseMarkdown, extractHeadings } from './heading.ids'
+import { parseQuiz } from './quiz.block'
+import { parseTabMeta } from './code.groups'
+import { languages } from '../scripts/Code.languages'
+
+const knownLanguages = new Set(
+  Object.entries(languages).flatMap(([id, { aliases }]) => [id, ...aliases])
+)
+
+const LEARN_LINK = /^\/learn\/((?:\d+\.\d+\/)?[^/#?]+\/[^/#?]+)\/?(?:#(.*))?$/
+
+// Every .md file under the content folder, as paths relative to it.
+const listMarkdownFiles = (dir = contentDirectory) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) return listMarkdownFiles(fullPath)
+    return entry.name.endsWith('.md') ? [path.relative(contentDirectory, fullPath)] : []
+  })
+
+// Line of a frontmatter field, counting the opening `---` as line 1.
+const fieldLine = (raw, field) => {
+  const index = raw.split('\n').findIndex(line => line.startsWith(`${field}:`))
+  return index === -1 ? 1 : index + 1
+}
+
+const readFile = (file) => {
+  const raw = fs.readFileSync(path.join(contentDirectory, file), 'utf8')
+  const { data, content } = matter(raw)
+  // Lines taken up by the frontmatter, so body positions map to the file.
+  const offset = raw.endsWith(content)
+    ? raw.slice(0, raw.length - content.length).split('\n').length - 1
+    : 0
+  return { raw, data, content, offset }
+}
+
+/**
+ * Checks everything under src/app/content and returns diagnostics as
+ * `{ file, line, severity: 'error' | 'warning', rule, message }`, sorted by
+ * file and line. Covers the frontmatter schema, the navigation built by
+ * mark.down.js, reachability, internal links and anchors, code fences
+ * (language, quiz syntax) and heading structure.
+ */
+export function checkContent() {
+  const diagnostics = []
+  const report = (file, line, severity, rule, message) =>
+    diagnostics.push({ file: path.join('src/app/content', file), line, severity, rule, message })
+
+  // mark.down.js reads <level>/<file>.md and <level>/_index.md, for older
+  // versions under v<version>/; anything else in the folder is never
+  // published.
+  const versionOf = (file) => VERSION_FOLDER.exec(file.split(path.sep)[0])?.[1] || CURRENT_VERSION
+  const files = listMarkdownFiles().filter(file => {
+    const parts = file.split(path.sep)
+    const [, name, ...rest] = versionOf(file) === CURRENT_VERSION ? parts : parts.slice(1)
+    if (name && !rest.length && (!name.startsWith('_') || name === LEVEL_INDEX_FILE)) return true
+
+    report(file, 1, 'error', 'reachability', name && !rest.length
+      ? `Files starting with "_" are ignored; only ${LEVEL_INDEX_FILE} is read`
+      : 'Only files directly inside a level folder are published')
+    return false
+  })
+  const parsed = new Map()
+
+  for (const file of files) {
+    try {
+      parsed.set(file, readFile(file))
+    } catch (error) {
+      report(file, 1, 'error', 'frontmatter', `Could not parse frontmatter: ${error.reason || error.message}`)
+    }
+  }
+
+  for (const [file, { raw, data }] of parsed) {
+    for (const { field, message } of checkFrontmatter(data)) {
+      report(file, fieldLine(raw, field), 'error', 'frontmatter', message)
+    }
+  }
+
+  // The manifest repeats the frontmatter checks, so only report its own
+  // failures (level mismatches, duplicate slugs) once the schema passes.
+  // Link and navigation checks need it, so they wait for a clean schema.
+  let manifest = null
+  try {
+    manifest = getVersions().flatMap(version => getContentManifest(version.id))
+  } catch (error) {
+    if (!diagnostics.some(diagnostic => diagnostic.rule === 'frontmatter')) {
+      const [, file = '', message = error.message] = /^([\w.-]+\/[^:]+\.md): (.*)$/s.exec(error.message) || []
+      report(file, 1, 'error', 'manifest', message)
+    }
+  }
+  if (!manifest) return diagnostics
+
+  const homeFile = path.join(HOME_PAGE.level, `${HOME_PAGE.topic}.md`)
+  const topics = manifest.flatMap(section => section.children)
+  const fileOf = (entry) => entry.file
+  const served = new Map(topics.filter(entry => entry.nav).map(entry => [entry.slug, entry]))
+
+  // Navigation: every sidebar entry must load, every file must be served.
+  for (const entry of served.values()) {
+    if (!getMarkdownContent(entry.level, entry.topic, entry.version)) {
+      report(path.join(path.dirname(entry.file), LEVEL_INDEX_FILE), 1, 'error', 'nav', `Navigation entry "${entry.slug}" has no readable file`)
+    }
+  }
+  for (const file of files) {
+    const entry = topics.find(topic => fileOf(topic) === file)
+    if (file === homeFile || !entry) continue
+
+    if (!entry.nav) {
+      report(file, fieldLine(parsed.get(file)?.raw || '', 'nav'), 'error', 'reachability',
+        `nav: false keeps "${entry.slug}" out of the sidebar and unpublished, and it is not the home page`)
+    }
+  }
+
+  // Anchors each served page (and the home page) answers to.
+  const anchorsOf = new Map()
+  const pageAnchors = (file) => {
+    if (!anchorsOf.has(file)) {
+      const { data, content } = parsed.get(file)
+      anchorsOf.set(file, new Set([
+        ...extractHeadings(content).map(heading => heading.id),
+        ...Object.keys(data.anchors || {})
+      ]))
+    }
+    return anchorsOf.get(file)
+  }
+
+  for (const [file, { data, content, offset }] of parsed) {
+    const name = path.basename(file)
+    if (name === LEVEL_INDEX_FILE) continue
+
+    const tree = parseMarkdown(content)
+    const at = (node) => (node.position?.start.line ?? 1) + offset
+    const isTopic = file !== homeFile
+
+    // Links to other pages and to headings.
+    visit(tree, ['link', 'definition'], (node) => {
+      const url = node.url
+      if (url.startsWith('#')) {
+        const anchor = decodeURIComponent(url.slice(1))
+        if (!pageAnchors(file).has(anchor)) {
+          report(file, at(node), 'error', 'link', `No heading with id "${anchor}" on this page`)
+        }
+        return
+      }
+
+      const match = LEARN_LINK.exec(url)
+      if (!match) {
+        if (url.startsWith('/learn')) report(file, at(node), 'error', 'link', `Unrecognised link "${url}"; use /learn/<level>/<topic> or /learn/<version>/<level>/<topic>`)
+        return
+      }
+
+      const [, slug, hash] = match
+      const target = served.get(slug)
+      if (!target) {
+        report(file, at(node), 'error', 'link', `Link to "${url}" points at no published topic`)
+      } else if (hash && !pageAnchors(fileOf(target)).has(decodeURIComponent(hash))) {
+        report(file, at(node), 'error', 'link', `"${slug}" has no heading with id "${hash}"`)
+      }
+    })
+
+    // Anchor aliases must point at a real heading and not shadow one.
+    const headingIds = new Set(extractHeadings(content).map(heading => heading.id))
+    for (const [alias, id] of Object.entries(data.anchors || {})) {
+      const line = fieldLine(parsed.get(file).raw, `  ${alias}`)
+      if (!headingIds.has(id)) report(file, line, 'error', 'anchors', `Alias "${alias}" points at "${id}", which is not a heading id here`)
+      if (headingIds.has(alias)) report(file, line, 'error', 'anchors', `Alias "${alias}" is already the id of a heading`)
+    }
+
+    // Version badges can't name a release after the one the page documents.
+    const version = versionOf(file)
+    visit(tree, 'versionBadge', (node) => {
+      if (compareVersions(node.version, version) > 0) {
+        report(file, at(node), 'error', 'version-badge', `"Added in ${node.version}" on a page documenting MongoDB ${version}`)
+      }
+    })
+    visit(tree, 'text', (node) => {
+      if (/\[!added\b/i.test(node.value)) {
+        report(file, at(node), 'warning', 'version-badge', 'Badge marker needs a major.minor version, e.g. [!added 7.0]')
+      }
+    })
+
+    // Code fences.
+    visit(tree, 'code', (node) => {
+      const lang = node.lang?.toLowerCase()
+      if (!lang) {
+        report(file, at(node), 'error', 'fence-language', 'Code fence has no language; tag it (use `text` for plain output)')
+      } else if (!knownLanguages.has(lang)) {
+        report(file, at(node), 'error', 'fence-language', `Unknown fence language "${node.lang}"; add it to src/app/scripts/Code.languages.js or use a known alias`)
+      }
+      if (node.meta && parseTabMeta(node.meta) === null) {
+        report(file, at(node), 'warning', 'fence-meta', `Ignored text after the language: "${node.meta}"`)
+      }
+      if (lang === 'quiz') {
+        try {
+          parseQuiz(node.value)
+        } catch (error) {
+          report(file, at(node), 'error', 'quiz', error.message)
+        }
+      }
+    })
+
+    // Headings: no skipped levels, h1 only where no page header renders
+    // the title, and no repeats that would get numbered ids.
+    let previous = isTopic ? 1 : 0
+    const seen = new Map()
+    visit(tree, 'heading', (node) => {
+      if (isTopic && node.depth === 1) {
+        report(file, at(node), 'error', 'heading-level', 'Topic pages start at ## because the page header renders the title')
+      } else if (node.depth > previous + 1) {
+        report(file, at(node), 'error', 'heading-level', `Heading jumps from h${previous} to h${node.depth}`)
+      }
+      previous = node.depth
+
+      const text = toString(node).trim()
+      if (node.depth <= 2 && seen.has(text)) {
+        report(file, at(node), 'warning', 'duplicate-heading', `Repeats the heading on line ${seen.get(text)}; its anchor gets a numeric suffix`)
+      }
+      if (!seen.has(text)) seen.set(text, at(node))
+    })
+  }
+
+  return diagnostics.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line)
+}
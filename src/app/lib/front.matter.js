@@ -0,0 +1,120 @@
+/**
+ * Frontmatter accepted by files in src/app/content. Topics must declare a
+ * title; every other field is optional. Unknown fields are rejected so a
+ * typo fails the build instead of silently doing nothing.
+ *
+ *   title        string    Page <title>, sidebar label and page header
+ *   slug         string    URL segment, defaults to the file name
+ *   order        number    Position within the level
+ *   level        string    Must match the folder the file lives in
+ *   icon         string    Lucide icon name
+ *   nav          boolean   false keeps the file out of the navigation
+ *   description  string    Meta description and page header summary
+ *   keywords     string[]  Meta keywords
+ *   lastUpdated  date      YYYY-MM-DD
+ *   author       string
+ *   mongoVersion string    Server version the page targets, quoted ("7.0");
+ *                          shown in the page header only when set
+ *   playground   object    Seed data for the mongosh playground: collection
+ *                          names mapped to lists of documents
+ *   anchors      object    Old heading anchors mapped to the id of the
+ *                          heading they now point at, so links made before
+ *                          a heading was renamed keep working
+ */
+export const frontmatterSchema = {
+  title: { type: 'string', required: true },
+  slug: { type: 'string' },
+  order: { type: 'number' },
+  level: { type: 'string' },
+  icon: { type: 'string' },
+  nav: { type: 'boolean' },
+  description: { type: 'string' },
+  keywords: { type: 'string[]' },
+  lastUpdated: { type: 'date' },
+  author: { type: 'string' },
+  mongoVersion: { type: 'string' },
+  playground: { type: 'collections' },
+  anchors: { type: 'anchors' }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+
+const describe = (value) => {
+  if (Array.isArray(value)) return 'an array'
+  if (value instanceof Date) return 'a date'
+  return `a ${typeof value}`
+}
+
+const checkType = (type, value) => {
+  switch (type) {
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string')
+    case 'date':
+      return value instanceof Date && !Number.isNaN(value.getTime())
+    case 'collections':
+      return isPlainObject(value) &&
+        Object.values(value).every(docs => Array.isArray(docs) && docs.every(isPlainObject))
+    case 'anchors':
+      return isPlainObject(value) && Object.values(value).every(id => typeof id === 'string')
+    default:
+      return typeof value === type
+  }
+}
+
+const hints = {
+  mongoVersion: ' (quote it, e.g. mongoVersion: "7.0")',
+  lastUpdated: ' (use YYYY-MM-DD)',
+  playground: ' (map each collection name to a list of documents)',
+  anchors: ' (map each old anchor to the current heading id, e.g. update-one: updateone)'
+}
+
+/**
+ * Lists every way parsed frontmatter breaks the schema, as
+ * `{ field, message }` pairs; empty when it is valid.
+ */
+export function checkFrontmatter(data) {
+  const errors = []
+
+  for (const [key, rule] of Object.entries(frontmatterSchema)) {
+    const value = data[key]
+
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push({ field: key, message: `"${key}" is required` })
+      continue
+    }
+
+    if (!checkType(rule.type, value)) {
+      errors.push({
+        field: key,
+        message: `"${key}" must be ${rule.type}, got ${describe(value)}${hints[key] || ''}`
+      })
+    }
+  }
+
+  for (const key of Object.keys(data)) {
+    if (!frontmatterSchema[key]) errors.push({ field: key, message: `unknown field "${key}"` })
+  }
+
+  return errors
+}
+
+/**
+ * Checks parsed frontmatter against the schema and returns a copy that is
+ * safe to hand to client components (dates become YYYY-MM-DD strings).
+ * Throws with the file name and every problem found.
+ */
+export function validateFrontmatter(data, file) {
+  const errors = checkFrontmatter(data).map(error => error.message)
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid frontmatter in ${file}:\n  - ${errors.join('\n  - ')}`)
+  }
+
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [
+      key,
+      value instanceof Date ? value.toISOString().slice(0, 10) : value
+    ])
+  )
+}
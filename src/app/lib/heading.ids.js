@@ -0,0 +1,100 @@
+import { unified } from 'unified'
+import remarkParse from 'remark-parse'
+import remarkGfm from 'remark-gfm'
+import { visit } from 'unist-util-visit'
+import { toString } from 'mdast-util-to-string'
+import { remarkCallouts } from './callouts'
+import { remarkVersionBadges } from './version.badges'
+
+// Deepest heading that gets an id and a table-of-contents entry.
+export const MAX_HEADING_DEPTH = 4
+
+export const slugify = (text) => {
+  return text
+    .toString()
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^\w\-]/g, '')
+    .replace(/\-\-+/g, '-')
+}
+
+/**
+ * Returns a function that turns heading text into an id that is unique
+ * within one document: repeats get -1, -2, ... and a suffix never collides
+ * with an id that is already taken.
+ */
+export function createSlugger() {
+  const used = new Set()
+
+  return (text) => {
+    const base = slugify(text) || 'section'
+    let id = base
+    let count = 0
+
+    while (used.has(id)) {
+      count++
+      id = `${base}-${count}`
+    }
+
+    used.add(id)
+    return id
+  }
+}
+
+/**
+ * Remark plugin that assigns ids to h1-h4 headings. The id is stored on
+ * `node.data.id` and passed to the rendered element through hProperties.
+ * Fenced code is a separate node type, so `# comments` inside it never
+ * become headings.
+ */
+export function remarkHeadingIds() {
+  return (tree) => {
+    const slug = createSlugger()
+
+    visit(tree, 'heading', (node) => {
+      if (node.depth > MAX_HEADING_DEPTH) return
+
+      const id = slug(toString(node))
+      node.data = {
+        ...node.data,
+        id,
+        hProperties: { ...node.data?.hProperties, id }
+      }
+    })
+  }
+}
+
+const parser = unified().use(remarkParse).use(remarkGfm)
+
+/**
+ * Parses markdown with the same remark pipeline the renderer uses and
+ * returns the tree with version badges, heading ids and callouts applied.
+ */
+export function parseMarkdown(markdown) {
+  const tree = parser.parse(markdown)
+  remarkVersionBadges()(tree)
+  remarkHeadingIds()(tree)
+  remarkCallouts()(tree)
+  return tree
+}
+
+/**
+ * Lists the h1-h4 headings of a markdown document in order, with the same
+ * ids MarkdownRenderer puts on the page.
+ */
+export function extractHeadings(markdown) {
+  const headings = []
+
+  visit(parseMarkdown(markdown), 'heading', (node) => {
+    if (!node.data?.id) return
+
+    headings.push({
+      id: node.data.id,
+      text: toString(node),
+      level: node.depth
+    })
+  })
+
+  return headings
+}
@@ -1,50 +1,285 @@
 import fs from 'fs'
 import path from 'path'
 import matter from 'gray-matter'
+import { validateFrontmatter } from './front.matter'
+
+export const contentDirectory = path.join(process.cwd(), 'src/app/content')
+
+// Holds a level's own metadata (title, order, icon) rather than a topic.
+export const LEVEL_INDEX_FILE = '_index.md'
+
+// The file rendered at `/`; it stays out of the navigation (nav: false).
+export const HOME_PAGE = { level: 'basic', topic: 'Home' }
+
+// Server version the level folders document. Pages for earlier versions
+// live in a `v<version>` folder with the same layout (content/v7.0/
+// intermediate/Transactions.md) and are served under /learn/<version>/.
+export const CURRENT_VERSION = '8.0'
+
+export const VERSION_FOLDER = /^v(\d+\.\d+)$/
+
+const cachedManifests = new Map()
+
+const toSlug = (fileName) => {
+  return fileName
+    .replace(/\.md$/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^\w-]+/g, '-')
+}
+
+const byOrder = (a, b) => {
+  return (a.order ?? Infinity) - (b.order ?? Infinity) || a.title.localeCompare(b.title)
+}
+
+const readMarkdownFile = (fullPath) => {
+  const file = path.relative(contentDirectory, fullPath)
+  let parsed
 
-const contentDirectory = path.join(process.cwd(), 'src/app/content')
-
-const fileNameMap = {
-  'introduction': 'Intro.md',
-  'installation': 'Install.md',
-  'database-basics': 'Dbc.md',
-  'crud-operations': 'Crud.md',
-  'data-types': 'Datatype.md',
-  'querying': 'Basicquery.md',
-  'core-development': 'Coredev.md',
-  'troubleshooting': 'Advtro.md',
-  'custom-solutions': 'Custom.md',
-  'advanced-querying': 'Advancequery.md',
-  'indexes': 'Indexes.md',
-  'aggregation-basics': 'Aggregation.md',
-  'data-modeling': 'Modeling.md',
-  'transactions': 'Transactions.md',
-  'replica-sets': 'Replica.md',
-  'performance': 'Peropt.md',
-
-}
-
-export function getMarkdownContent(level, topic) {
   try {
-    const fileName = fileNameMap[topic] || `${topic}.md`
-    const fullPath = path.join(contentDirectory, level, fileName)
-    const fileContents = fs.readFileSync(fullPath, 'utf8')
-    const { data, content } = matter(fileContents)
-
-    return {
-      content,
-      frontmatter: data
-    }
+    parsed = matter(fs.readFileSync(fullPath, 'utf8'))
   } catch (error) {
+    throw new Error(`Could not parse frontmatter in ${file}: ${error.message}`)
+  }
+
+  const { data, content } = parsed
+
+  return { data: validateFrontmatter(data, file), content }
+}
+
+/** Orders `major.minor` version strings, oldest first. */
+export const compareVersions = (a, b) => {
+  const [aMajor, aMinor] = a.split('.').map(Number)
+  const [bMajor, bMinor] = b.split('.').map(Number)
+  return aMajor - bMajor || aMinor - bMinor
+}
+
+/**
+ * Every documented server version, newest first, as `{ id, current }`.
+ * The current version is always listed, even with no older folders.
+ */
+export function getVersions() {
+  const older = fs
+    .readdirSync(contentDirectory, { withFileTypes: true })
+    .map(entry => entry.isDirectory() && VERSION_FOLDER.exec(entry.name)?.[1])
+    .filter(version => version && version !== CURRENT_VERSION)
+
+  return [CURRENT_VERSION, ...older]
+    .sort((a, b) => compareVersions(b, a))
+    .map(id => ({ id, current: id === CURRENT_VERSION }))
+}
+
+const isKnownVersion = (version) => getVersions().some(entry => entry.id === version)
+
+export function isOlderVersion(version) {
+  return version !== CURRENT_VERSION && isKnownVersion(version)
+}
+
+// Folder holding a version's levels, and the prefix its URLs carry.
+const versionDirectory = (version) =>
+  version === CURRENT_VERSION ? contentDirectory : path.join(contentDirectory, `v${version}`)
+
+const versionPrefix = (version) => (version === CURRENT_VERSION ? '' : `${version}/`)
+
+/**
+ * Splits the path after /learn/ (`level/topic`, or `version/level/topic`
+ * for an older version) into `{ version, level, topic }`; null if it has
+ * neither shape.
+ */
+export function parseTopicPath(segments) {
+  if (segments.length === 2) {
+    const [level, topic] = segments
+    return { version: CURRENT_VERSION, level, topic }
+  }
+  if (segments.length === 3 && isOlderVersion(segments[0])) {
+    const [version, level, topic] = segments
+    return { version, level, topic }
+  }
+  return null
+}
+
+const readLevel = (level, version) => {
+  const levelPath = path.join(versionDirectory(version), level)
+  const folder = path.relative(contentDirectory, levelPath)
+  const indexPath = path.join(levelPath, LEVEL_INDEX_FILE)
+  const { data } = fs.existsSync(indexPath) ? readMarkdownFile(indexPath) : { data: {} }
+
+  const children = fs
+    .readdirSync(levelPath)
+    .filter(file => file.endsWith('.md') && !file.startsWith('_'))
+    .map(fileName => {
+      const { data: frontmatter } = readMarkdownFile(path.join(levelPath, fileName))
+
+      if (frontmatter.level && frontmatter.level !== level) {
+        throw new Error(
+          `${folder}/${fileName}: frontmatter level "${frontmatter.level}" does not match its folder "${level}"`
+        )
+      }
+
+      return {
+        version,
+        level,
+        fileName,
+        file: path.join(folder, fileName),
+        topic: frontmatter.slug || toSlug(fileName),
+        title: frontmatter.title,
+        order: frontmatter.order,
+        icon: frontmatter.icon || null,
+        nav: frontmatter.nav !== false
+      }
+    })
+    .map(entry => ({ ...entry, slug: `${versionPrefix(version)}${entry.level}/${entry.topic}` }))
+    .sort(byOrder)
+
+  const seen = new Set()
+  for (const entry of children) {
+    if (seen.has(entry.topic)) {
+      throw new Error(`${folder}/${entry.fileName}: duplicate topic slug "${entry.topic}"`)
+    }
+    seen.add(entry.topic)
+  }
+
+  return {
+    id: level,
+    title: data.title || `${level.charAt(0).toUpperCase()}${level.slice(1)} Level`,
+    order: data.order,
+    icon: data.icon || null,
+    children
+  }
+}
+
+/**
+ * Builds the content manifest of one version (the current one by default)
+ * from its level folders and the frontmatter of their markdown files.
+ * Every level folder may hold an `_index.md` (title, order, icon); every
+ * other `.md` file is a topic (title, slug, order, level, icon, nav). An
+ * unknown version has no levels.
+ */
+export function getContentManifest(version = CURRENT_VERSION) {
+  if (cachedManifests.has(version)) return cachedManifests.get(version)
+  if (!isKnownVersion(version)) return []
+
+  const manifest = fs
+    .readdirSync(versionDirectory(version), { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !VERSION_FOLDER.test(entry.name))
+    .map(entry => readLevel(entry.name, version))
+    .sort(byOrder)
+
+  if (process.env.NODE_ENV === 'production') {
+    cachedManifests.set(version, manifest)
+  }
+
+  return manifest
+}
+
+/**
+ * The manifest trimmed down to what the sidebar renders: levels with at
+ * least one navigable topic, and only those topics.
+ */
+export function getNavigation(version = CURRENT_VERSION) {
+  return getContentManifest(version)
+    .map(({ id, title, icon, children }) => ({
+      id,
+      title,
+      icon,
+      children: children
+        .filter(topic => topic.nav)
+        .map(({ slug, title, icon }) => ({ id: slug, title, slug, icon }))
+    }))
+    .filter(section => section.children.length > 0)
+}
+
+export function getLevelEntry(level, version = CURRENT_VERSION) {
+  return getContentManifest(version).find(entry => entry.id === level) || null
+}
+
+export function getTopicEntry(level, topic, version = CURRENT_VERSION) {
+  return getLevelEntry(level, version)?.children.find(entry => entry.topic === topic) || null
+}
+
+export function getMarkdownContent(level, topic, version = CURRENT_VERSION) {
+  if (!isKnownVersion(version)) return null
+
+  const entry = getTopicEntry(level, topic, version)
+  const fileName = entry ? entry.fileName : `${topic}.md`
+  const fullPath = path.join(versionDirectory(version), level, fileName)
+
+  if (!fs.existsSync(fullPath)) {
+    return null
+  }
+
+  const { data, content } = readMarkdownFile(fullPath)
+
+  return {
+    content,
+    frontmatter: data,
+    title: data.title,
+    description: data.description,
+    keywords: data.keywords || [],
+    lastUpdated: data.lastUpdated,
+    author: data.author,
+    mongoVersion: data.mongoVersion
+  }
+}
+
+export function getAllMarkdownContent(version = CURRENT_VERSION) {
+  return getContentManifest(version).flatMap(section =>
+    section.children
+      .filter(entry => entry.nav)
+      .map(entry => ({ ...entry, ...getMarkdownContent(entry.level, entry.topic, version) }))
+  )
+}
+
+const WORDS_PER_MINUTE = 200
+
+export function getReadingTime(content) {
+  const words = content.split(/\s+/).filter(Boolean).length
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE))
+}
+
+/**
+ * The topics before and after `level/topic` in curriculum order, crossing
+ * level boundaries but not versions. Entries whose file cannot be read are
+ * skipped.
+ */
+export function getAdjacentTopics(level, topic, version = CURRENT_VERSION) {
+  const curriculum = getContentManifest(version).flatMap(section =>
+    section.children
+      .filter(entry => entry.nav)
+      .map(entry => ({ ...entry, levelTitle: section.title }))
+  )
+  const index = curriculum.findIndex(entry => entry.level === level && entry.topic === topic)
+
+  const toLink = (entry) => {
+    const markdown = getMarkdownContent(entry.level, entry.topic, version)
+    return markdown && {
+      title: entry.title,
+      slug: entry.slug,
+      levelTitle: entry.levelTitle,
+      readingTime: getReadingTime(markdown.content)
+    }
+  }
+
+  const find = (candidates) => {
+    for (const entry of candidates) {
+      const link = toLink(entry)
+      if (link) return link
+    }
     return null
   }
+
+  if (index === -1) return { previous: null, next: null }
+
+  return {
+    previous: find(curriculum.slice(0, index).reverse()),
+    next: find(curriculum.slice(index + 1))
+  }
 }
 
-export function getAllTopics(level) {
-  const levelPath = path.join(contentDirectory, level)
-  const files = fs.readdirSync(levelPath)
+export function getAllTopics(level, version = CURRENT_VERSION) {
+  const section = getLevelEntry(level, version)
 
-  return files
-    .filter(file => file.endsWith('.md'))
-    .map(file => file.replace('.md', ''))
-}
\ No newline at end of file
+  return section
+    ? section.children.filter(entry => entry.nav).map(entry => entry.topic)
+    : []
+}
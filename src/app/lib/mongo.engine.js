@@ -0,0 +1,1368 @@
+/**
+ * A small in-memory, MongoDB-compatible engine behind the mongosh playground.
+ * It covers what the lessons teach — CRUD, the common query and update
+ * operators, projections, indexes and the everyday aggregation stages — and
+ * throws a MongoError for anything it doesn't support instead of guessing.
+ */
+
+export class MongoError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = 'MongoServerError'
+    this.code = code
+  }
+}
+
+let counter = Math.floor(Math.random() * 0xffffff)
+const processId = Array.from({ length: 10 }, () =>
+  Math.floor(Math.random() * 16).toString(16)
+).join('')
+
+export class ObjectId {
+  constructor(hex) {
+    if (hex === undefined) {
+      const time = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0')
+      counter = (counter + 1) % 0xffffff
+      this.hex = `${time}${processId}${counter.toString(16).padStart(6, '0')}`
+    } else if (typeof hex === 'string' && /^[0-9a-f]{24}$/i.test(hex)) {
+      this.hex = hex.toLowerCase()
+    } else {
+      throw new MongoError(`Invalid ObjectId: ${JSON.stringify(hex)}`)
+    }
+  }
+
+  getTimestamp() {
+    return new Date(parseInt(this.hex.slice(0, 8), 16) * 1000)
+  }
+
+  equals(other) {
+    return other instanceof ObjectId && other.hex === this.hex
+  }
+
+  toString() {
+    return this.hex
+  }
+
+  toJSON() {
+    return { $oid: this.hex }
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof ObjectId) &&
+  !(value instanceof RegExp)
+
+const isOperatorObject = (value) =>
+  isPlainObject(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'))
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone)
+  if (value instanceof Date) return new Date(value.getTime())
+  if (value instanceof ObjectId || value instanceof RegExp) return value
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]))
+  }
+  return value
+}
+
+/**
+ * Turns canonical extended JSON (`{ $oid }`, `{ $date }`) from frontmatter
+ * seed data into ObjectId and Date values.
+ */
+export function fromExtendedJson(value) {
+  if (Array.isArray(value)) return value.map(fromExtendedJson)
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value)
+    if (keys.length === 1 && keys[0] === '$oid') return new ObjectId(value.$oid)
+    if (keys.length === 1 && keys[0] === '$date') return new Date(value.$date)
+    return Object.fromEntries(keys.map(key => [key, fromExtendedJson(value[key])]))
+  }
+  return value
+}
+
+/**
+ * Converts a result into plain JSON, writing ObjectIds and dates the way
+ * mongoexport does (`{ "$oid": ... }`, `{ "$date": ... }`).
+ */
+export function toExtendedJson(value) {
+  if (value === undefined) return null
+  if (Array.isArray(value)) return value.map(toExtendedJson)
+  if (value instanceof ObjectId) return value.toJSON()
+  if (value instanceof Date) return { $date: value.toISOString() }
+  if (value instanceof RegExp) return { $regex: value.source, $options: value.flags }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => [key, toExtendedJson(item)])
+    )
+  }
+  return value
+}
+
+// ---------------------------------------------------------------------------
+// Comparison
+
+// BSON comparison order for values of different types.
+const typeRank = (value) => {
+  if (value === undefined || value === null) return 1
+  if (typeof value === 'number') return 2
+  if (typeof value === 'string') return 3
+  if (Array.isArray(value)) return 5
+  if (value instanceof ObjectId) return 7
+  if (typeof value === 'boolean') return 8
+  if (value instanceof Date) return 9
+  if (value instanceof RegExp) return 11
+  return 4
+}
+
+/**
+ * Orders two values the way MongoDB sorts them: first by BSON type, then by
+ * value. Returns a negative number, zero or a positive number.
+ */
+export function compareValues(a, b) {
+  const rankA = typeRank(a)
+  const rankB = typeRank(b)
+  if (rankA !== rankB) return rankA - rankB
+
+  if (rankA === 1) return 0
+  if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b)
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0
+  if (a instanceof Date) return a.getTime() - b.getTime()
+  if (a instanceof ObjectId) return a.hex < b.hex ? -1 : a.hex > b.hex ? 1 : 0
+  if (a instanceof RegExp) return compareValues(a.source, b.source)
+
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const result = compareValues(a[i], b[i])
+      if (result !== 0) return result
+    }
+    return a.length - b.length
+  }
+
+  const entriesA = Object.entries(a)
+  const entriesB = Object.entries(b)
+  for (let i = 0; i < Math.min(entriesA.length, entriesB.length); i++) {
+    const keys = compareValues(entriesA[i][0], entriesB[i][0])
+    if (keys !== 0) return keys
+    const values = compareValues(entriesA[i][1], entriesB[i][1])
+    if (values !== 0) return values
+  }
+  return entriesA.length - entriesB.length
+}
+
+const valuesEqual = (a, b) => {
+  if ((a === undefined || a === null) && (b === undefined || b === null)) return true
+  return typeRank(a) === typeRank(b) && compareValues(a, b) === 0
+}
+
+// Stable string key for grouping and $addToSet.
+const valueKey = (value) => JSON.stringify(toExtendedJson(value))
+
+// ---------------------------------------------------------------------------
+// Paths
+
+// Every value a dotted path can reach, descending into arrays of documents
+// the way query predicates do ("tags.name" matches any element's name).
+const collectValues = (value, parts) => {
+  if (parts.length === 0) return [value]
+
+  const [head, ...rest] = parts
+  if (Array.isArray(value)) {
+    const byIndex = /^\d+$/.test(head) ? collectValues(value[Number(head)], rest) : []
+    const byElement = value
+      .filter(isPlainObject)
+      .flatMap(item => collectValues(item, parts))
+    return [...byIndex, ...byElement]
+  }
+  if (isPlainObject(value)) return collectValues(value[head], rest)
+  return [undefined]
+}
+
+/**
+ * Reads a dotted path for expressions: arrays of documents map to arrays of
+ * the field's values, as `"$items.price"` does in an aggregation.
+ */
+export function getPath(doc, path) {
+  return path.split('.').reduce((value, part) => {
+    if (Array.isArray(value)) {
+      if (/^\d+$/.test(part)) return value[Number(part)]
+      return value
+        .filter(isPlainObject)
+        .map(item => item[part])
+        .filter(item => item !== undefined)
+    }
+    return isPlainObject(value) ? value[part] : undefined
+  }, doc)
+}
+
+const setPath = (doc, path, value) => {
+  const parts = path.split('.')
+  const last = parts.pop()
+  let target = doc
+  for (const part of parts) {
+    if (target[part] === undefined || target[part] === null) target[part] = {}
+    target = target[part]
+    if (typeof target !== 'object') {
+      throw new MongoError(`Cannot create field '${last}' in element ${JSON.stringify(target)}`)
+    }
+  }
+  target[Array.isArray(target) ? Number(last) : last] = value
+}
+
+const unsetPath = (doc, path) => {
+  const parts = path.split('.')
+  const last = parts.pop()
+  const target = parts.reduce(
+    (value, part) => (value && typeof value === 'object' ? value[part] : undefined),
+    doc
+  )
+  if (target && typeof target === 'object') {
+    if (Array.isArray(target)) target[Number(last)] = null
+    else delete target[last]
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Query matching
+
+const BSON_TYPES = {
+  double: 1,
+  string: 2,
+  object: 3,
+  array: 4,
+  objectId: 7,
+  bool: 8,
+  date: 9,
+  null: 10,
+  regex: 11,
+  int: 16,
+  long: 18,
+  number: 'number'
+}
+
+const hasType = (value, type) => {
+  const alias = typeof type === 'number'
+    ? Object.keys(BSON_TYPES).find(name => BSON_TYPES[name] === type)
+    : type
+  switch (alias) {
+    case 'double':
+    case 'number':
+      return typeof value === 'number'
+    case 'int':
+    case 'long':
+      return Number.isInteger(value)
+    case 'string':
+      return typeof value === 'string'
+    case 'object':
+      return isPlainObject(value)
+    case 'array':
+      return Array.isArray(value)
+    case 'objectId':
+      return value instanceof ObjectId
+    case 'bool':
+      return typeof value === 'boolean'
+    case 'date':
+      return value instanceof Date
+    case 'null':
+      return value === null
+    case 'regex':
+      return value instanceof RegExp
+    default:
+      throw new MongoError(`Unknown type name alias: ${type}`)
+  }
+}
+
+const toRegExp = (pattern, options = '') => {
+  if (pattern instanceof RegExp) {
+    return options ? new RegExp(pattern.source, options) : pattern
+  }
+  return new RegExp(pattern, options.replace(/[^imsx]/g, '').replace('x', ''))
+}
+
+// Does a single reachable value equal `expected`? Arrays also match when
+// any of their elements does.
+const matchesEquality = (value, expected) => {
+  if (expected instanceof RegExp) {
+    if (typeof value === 'string') return expected.test(value)
+    return Array.isArray(value) && value.some(item => typeof item === 'string' && expected.test(item))
+  }
+  if (valuesEqual(value, expected)) return true
+  return Array.isArray(value) && value.some(item => valuesEqual(item, expected))
+}
+
+// Applies `test` to each value, or to each element when the value is an array.
+const someScalar = (values, test) =>
+  values.some(value =>
+    Array.isArray(value) ? value.some(test) || test(value) : test(value)
+  )
+
+const comparable = (a, b) => typeRank(a) === typeRank(b)
+
+const matchesOperators = (values, condition, doc) =>
+  Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return values.some(value => matchesEquality(value, operand))
+      case '$ne':
+        return !values.some(value => matchesEquality(value, operand))
+      case '$gt':
+        return someScalar(values, value => comparable(value, operand) && compareValues(value, operand) > 0)
+      case '$gte':
+        return someScalar(values, value => comparable(value, operand) && compareValues(value, operand) >= 0)
+      case '$lt':
+        return someScalar(values, value => comparable(value, operand) && compareValues(value, operand) < 0)
+      case '$lte':
+        return someScalar(values, value => comparable(value, operand) && compareValues(value, operand) <= 0)
+      case '$in':
+        assertArray(operator, operand)
+        return operand.some(expected => values.some(value => matchesEquality(value, expected)))
+      case '$nin':
+        assertArray(operator, operand)
+        return !operand.some(expected => values.some(value => matchesEquality(value, expected)))
+      case '$exists':
+        return values.some(value => value !== undefined) === Boolean(operand)
+      case '$type':
+        return [].concat(operand).some(type =>
+          values.some(value =>
+            value !== undefined &&
+            (hasType(value, type) || (Array.isArray(value) && value.some(item => hasType(item, type))))
+          )
+        )
+      case '$regex':
+        return values.some(value => matchesEquality(value, toRegExp(operand, condition.$options)))
+      case '$options':
+        return true
+      case '$size':
+        return values.some(value => Array.isArray(value) && value.length === operand)
+      case '$all':
+        assertArray(operator, operand)
+        return values.some(value =>
+          Array.isArray(value) && operand.every(expected => matchesEquality(value, expected))
+        )
+      case '$elemMatch':
+        return values.some(value =>
+          Array.isArray(value) &&
+          value.some(item =>
+            isOperatorObject(operand) && !isPlainObject(item)
+              ? matchesOperators([item], operand, doc)
+              : isPlainObject(item) && matchesFilter(item, operand)
+          )
+        )
+      case '$not':
+        return !(operand instanceof RegExp
+          ? values.some(value => matchesEquality(value, operand))
+          : matchesOperators(values, operand, doc))
+      case '$mod': {
+        const [divisor, remainder] = operand
+        return someScalar(values, value => typeof value === 'number' && value % divisor === remainder)
+      }
+      default:
+        throw new MongoError(`unknown operator: ${operator}`, 2)
+    }
+  })
+
+const assertArray = (operator, operand) => {
+  if (!Array.isArray(operand)) throw new MongoError(`${operator} needs an array`, 2)
+}
+
+/**
+ * Tests a document against a query filter: field conditions, query
+ * operators, $and/$or/$nor and $expr. `vars` are visible to $expr, as the
+ * `let` variables of a $lookup sub-pipeline are.
+ */
+export function matchesFilter(doc, filter = {}, vars = {}) {
+  if (!isPlainObject(filter)) {
+    throw new MongoError('query filter must be an object', 2)
+  }
+
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        assertArray(key, condition)
+        return condition.every(sub => matchesFilter(doc, sub, vars))
+      case '$or':
+        assertArray(key, condition)
+        return condition.some(sub => matchesFilter(doc, sub, vars))
+      case '$nor':
+        assertArray(key, condition)
+        return !condition.some(sub => matchesFilter(doc, sub, vars))
+      case '$expr':
+        return Boolean(evaluate(condition, doc, vars))
+      case '$comment':
+        return true
+      default: {
+        if (key.startsWith('$')) throw new MongoError(`unknown top level operator: ${key}`, 2)
+        const values = collectValues(doc, key.split('.'))
+        return isOperatorObject(condition)
+          ? matchesOperators(values, condition, doc)
+          : values.some(value => matchesEquality(value, condition))
+      }
+    }
+  })
+}
+
+// ---------------------------------------------------------------------------
+// Aggregation expressions
+
+const toNumber = (value) => (typeof value === 'number' ? value : value instanceof Date ? value.getTime() : null)
+
+const numericArgs = (operator, args) => {
+  const numbers = args.map(toNumber)
+  if (numbers.some(number => number === null && !args.includes(null))) {
+    throw new MongoError(`${operator} only supports numeric types`)
+  }
+  return numbers
+}
+
+const numbersIn = (values) => values.flat().filter(value => typeof value === 'number')
+
+const pad = (number, length = 2) => String(number).padStart(length, '0')
+
+const formatDate = (date, format = '%Y-%m-%dT%H:%M:%S.%LZ') =>
+  format.replace(/%([YmdHMSLjuw%])/g, (_, token) => ({
+    Y: date.getUTCFullYear(),
+    m: pad(date.getUTCMonth() + 1),
+    d: pad(date.getUTCDate()),
+    H: pad(date.getUTCHours()),
+    M: pad(date.getUTCMinutes()),
+    S: pad(date.getUTCSeconds()),
+    L: pad(date.getUTCMilliseconds(), 3),
+    j: pad(Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1, 3),
+    u: date.getUTCDay() || 7,
+    w: date.getUTCDay() + 1,
+    '%': '%'
+  })[token])
+
+const dateOperator = (read) => (args) => {
+  const [date] = args
+  return date instanceof Date ? read(date) : null
+}
+
+const expressionOperators = {
+  $add: (args) => {
+    const hasDate = args.some(arg => arg instanceof Date)
+    const sum = numericArgs('$add', args).reduce((total, value) => total + value, 0)
+    return hasDate ? new Date(sum) : sum
+  },
+  $subtract: ([a, b]) => {
+    if (a instanceof Date && b instanceof Date) return a - b
+    if (a instanceof Date) return new Date(a.getTime() - b)
+    return a === null || b === null ? null : a - b
+  },
+  $multiply: (args) => numericArgs('$multiply', args).reduce((total, value) => total * value, 1),
+  $divide: ([a, b]) => {
+    if (b === 0) throw new MongoError("can't $divide by zero")
+    return a === null || b === null ? null : a / b
+  },
+  $mod: ([a, b]) => a % b,
+  $abs: ([value]) => (value === null ? null : Math.abs(value)),
+  $ceil: ([value]) => Math.ceil(value),
+  $floor: ([value]) => Math.floor(value),
+  $round: ([value, places = 0]) => Math.round(value * 10 ** places) / 10 ** places,
+  $sqrt: ([value]) => Math.sqrt(value),
+  $pow: ([base, exponent]) => base ** exponent,
+
+  $concat: (args) => (args.some(arg => arg === null || arg === undefined) ? null : args.join('')),
+  $toUpper: ([value]) => (value === null || value === undefined ? '' : String(value).toUpperCase()),
+  $toLower: ([value]) => (value === null || value === undefined ? '' : String(value).toLowerCase()),
+  $trim: ([value]) => String(value).trim(),
+  $split: ([value, delimiter]) => (value === null ? null : String(value).split(delimiter)),
+  $strLenCP: ([value]) => [...String(value)].length,
+  $substr: ([value, start, length]) => String(value).substr(start, length < 0 ? undefined : length),
+  $substrCP: ([value, start, length]) => String(value).substr(start, length),
+  $toString: ([value]) =>
+    value === null || value === undefined
+      ? null
+      : value instanceof Date
+        ? value.toISOString()
+        : String(value),
+  $toInt: ([value]) => (value === null ? null : Math.trunc(Number(value))),
+  $toDouble: ([value]) => (value === null ? null : Number(value)),
+
+  $eq: ([a, b]) => valuesEqual(a, b),
+  $ne: ([a, b]) => !valuesEqual(a, b),
+  $gt: ([a, b]) => compareValues(a, b) > 0,
+  $gte: ([a, b]) => compareValues(a, b) >= 0,
+  $lt: ([a, b]) => compareValues(a, b) < 0,
+  $lte: ([a, b]) => compareValues(a, b) <= 0,
+  $cmp: ([a, b]) => Math.sign(compareValues(a, b)),
+  $and: (args) => args.every(Boolean),
+  $or: (args) => args.some(Boolean),
+  $not: ([value]) => !value,
+  $in: ([value, array]) => {
+    if (!Array.isArray(array)) throw new MongoError("$in requires an array as a second argument")
+    return array.some(item => valuesEqual(item, value))
+  },
+
+  $size: ([value]) => {
+    if (!Array.isArray(value)) throw new MongoError('The argument to $size must be an array')
+    return value.length
+  },
+  $arrayElemAt: ([array, index]) =>
+    Array.isArray(array) ? array[index < 0 ? array.length + index : index] : null,
+  $first: ([value]) => (Array.isArray(value) ? value[0] : null),
+  $last: ([value]) => (Array.isArray(value) ? value[value.length - 1] : null),
+  $concatArrays: (args) => (args.some(arg => arg === null) ? null : args.flat(1)),
+  $isArray: ([value]) => Array.isArray(value),
+  $slice: ([array, a, b]) =>
+    b === undefined ? (a < 0 ? array.slice(a) : array.slice(0, a)) : array.slice(a, a + b),
+
+  $sum: (args) => numbersIn(args).reduce((total, value) => total + value, 0),
+  $avg: (args) => {
+    const numbers = numbersIn(args)
+    return numbers.length ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null
+  },
+  $min: (args) => {
+    const values = args.flat().filter(value => value !== null && value !== undefined)
+    return values.length ? values.reduce((min, value) => (compareValues(value, min) < 0 ? value : min)) : null
+  },
+  $max: (args) => {
+    const values = args.flat().filter(value => value !== null && value !== undefined)
+    return values.length ? values.reduce((max, value) => (compareValues(value, max) > 0 ? value : max)) : null
+  },
+
+  $year: dateOperator(date => date.getUTCFullYear()),
+  $month: dateOperator(date => date.getUTCMonth() + 1),
+  $dayOfMonth: dateOperator(date => date.getUTCDate()),
+  $dayOfWeek: dateOperator(date => date.getUTCDay() + 1),
+  $hour: dateOperator(date => date.getUTCHours()),
+  $minute: dateOperator(date => date.getUTCMinutes()),
+  $second: dateOperator(date => date.getUTCSeconds())
+}
+
+// Operators that take their arguments unevaluated or as named options.
+const specialOperators = {
+  $literal: (operand) => operand,
+  $cond: (operand, doc, vars) => {
+    const [condition, then, otherwise] = Array.isArray(operand)
+      ? operand
+      : [operand.if, operand.then, operand.else]
+    return evaluate(condition, doc, vars) ? evaluate(then, doc, vars) : evaluate(otherwise, doc, vars)
+  },
+  $ifNull: (operand, doc, vars) => {
+    for (const candidate of operand) {
+      const value = evaluate(candidate, doc, vars)
+      if (value !== null && value !== undefined) return value
+    }
+    return null
+  },
+  $switch: (operand, doc, vars) => {
+    const branch = operand.branches.find(({ case: test }) => evaluate(test, doc, vars))
+    if (branch) return evaluate(branch.then, doc, vars)
+    if (operand.default === undefined) throw new MongoError('$switch could not find a matching branch')
+    return evaluate(operand.default, doc, vars)
+  },
+  $map: (operand, doc, vars) => {
+    const input = evaluate(operand.input, doc, vars)
+    if (!Array.isArray(input)) return null
+    const name = operand.as || 'this'
+    return input.map(item => evaluate(operand.in, doc, { ...vars, [name]: item }))
+  },
+  $filter: (operand, doc, vars) => {
+    const input = evaluate(operand.input, doc, vars)
+    if (!Array.isArray(input)) return null
+    const name = operand.as || 'this'
+    const matches = input.filter(item => evaluate(operand.cond, doc, { ...vars, [name]: item }))
+    return operand.limit === undefined ? matches : matches.slice(0, evaluate(operand.limit, doc, vars))
+  },
+  $reduce: (operand, doc, vars) => {
+    const input = evaluate(operand.input, doc, vars)
+    if (!Array.isArray(input)) return null
+    return input.reduce(
+      (value, item) => evaluate(operand.in, doc, { ...vars, value, this: item }),
+      evaluate(operand.initialValue, doc, vars)
+    )
+  },
+  $dateToString: (operand, doc, vars) => {
+    const date = evaluate(operand.date, doc, vars)
+    return date instanceof Date ? formatDate(date, operand.format) : null
+  },
+  $mergeObjects: (operand, doc, vars) =>
+    Object.assign({}, ...[].concat(evaluate(operand, doc, vars)).filter(isPlainObject))
+}
+
+/**
+ * Evaluates an aggregation expression against `doc`: `"$field"` paths,
+ * `"$$variables"`, operator objects, and literals.
+ */
+export function evaluate(expression, doc, vars = {}) {
+  if (typeof expression === 'string' && expression.startsWith('$$')) {
+    const [name, ...rest] = expression.slice(2).split('.')
+    const isRoot = name === 'ROOT' || name === 'CURRENT'
+    if (!isRoot && !(name in vars)) throw new MongoError(`Use of undefined variable: ${name}`)
+    const root = isRoot ? doc : vars[name]
+    return rest.length ? getPath(root, rest.join('.')) : root
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(doc, expression.slice(1))
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, doc, vars))
+  }
+  if (isPlainObject(expression)) {
+    const keys = Object.keys(expression)
+    if (keys.length === 1 && keys[0].startsWith('$')) {
+      const [operator] = keys
+      const operand = expression[operator]
+      if (specialOperators[operator]) return specialOperators[operator](operand, doc, vars)
+      if (expressionOperators[operator]) {
+        const args = Array.isArray(operand) ? operand : [operand]
+        return expressionOperators[operator](args.map(arg => evaluate(arg, doc, vars)))
+      }
+      throw new MongoError(`Unrecognized expression '${operator}'`, 168)
+    }
+    return Object.fromEntries(keys.map(key => [key, evaluate(expression[key], doc, vars)]))
+  }
+  return expression
+}
+
+// ---------------------------------------------------------------------------
+// Projection
+
+/**
+ * Applies a find() projection or a $project stage. Inclusion (`1`),
+ * exclusion (`0`) and computed fields (`"$path"` or an expression) are
+ * supported; mixing inclusion and exclusion is an error, except for _id.
+ */
+export function projectDocument(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return doc
+
+  const entries = Object.entries(projection)
+  const isFlag = (value) => typeof value === 'number' || typeof value === 'boolean'
+  const includes = entries.filter(([key, value]) => key !== '_id' && (!isFlag(value) || value))
+  const excludes = entries.filter(([key, value]) => key !== '_id' && isFlag(value) && !value)
+
+  if (includes.length > 0 && excludes.length > 0) {
+    throw new MongoError(
+      `Cannot do exclusion on field ${excludes[0][0]} in inclusion projection`,
+      31254
+    )
+  }
+
+  if (includes.length === 0) {
+    const result = clone(doc)
+    for (const [key, value] of entries) {
+      if (isFlag(value) && !value) unsetPath(result, key)
+    }
+    return result
+  }
+
+  const result = {}
+  if (projection._id === undefined || projection._id) {
+    if (isFlag(projection._id) || projection._id === undefined) {
+      if (doc._id !== undefined) result._id = doc._id
+    } else {
+      result._id = evaluate(projection._id, doc)
+    }
+  }
+
+  for (const [key, value] of includes) {
+    if (isFlag(value)) {
+      const [head, ...rest] = key.split('.')
+      const picked = pickPath(doc[head], rest)
+      if (picked !== undefined) result[head] = mergePicked(result[head], picked)
+    } else {
+      setPath(result, key, evaluate(value, doc))
+    }
+  }
+  return result
+}
+
+// A copy of just the `parts` path inside `value`, keeping the structure
+// around it; arrays of documents keep the field from every element.
+const pickPath = (value, parts) => {
+  if (parts.length === 0) return clone(value)
+  if (Array.isArray(value)) {
+    return value
+      .filter(isPlainObject)
+      .map(item => pickPath(item, parts))
+      .filter(item => item !== undefined)
+  }
+  if (!isPlainObject(value)) return undefined
+
+  const [head, ...rest] = parts
+  const inner = pickPath(value[head], rest)
+  return inner === undefined ? {} : { [head]: inner }
+}
+
+// Combines two picked subtrees so `{ 'a.b': 1, 'a.c': 1 }` keeps both.
+const mergePicked = (existing, picked) => {
+  if (isPlainObject(existing) && isPlainObject(picked)) {
+    const merged = { ...existing }
+    for (const [key, value] of Object.entries(picked)) merged[key] = mergePicked(merged[key], value)
+    return merged
+  }
+  if (Array.isArray(existing) && Array.isArray(picked)) {
+    return picked.map((item, index) => mergePicked(existing[index], item))
+  }
+  return picked
+}
+
+// ---------------------------------------------------------------------------
+// Updates
+
+const arrayAt = (doc, path, operator) => {
+  const current = getPath(doc, path)
+  if (current === undefined || current === null) {
+    setPath(doc, path, [])
+    return getPath(doc, path)
+  }
+  if (!Array.isArray(current)) {
+    throw new MongoError(`The field '${path}' must be an array but is of type ${typeof current} (${operator})`, 2)
+  }
+  return current
+}
+
+const updateOperators = {
+  $set: (doc, path, value) => setPath(doc, path, clone(value)),
+  $setOnInsert: () => {},
+  $unset: (doc, path) => unsetPath(doc, path),
+  $inc: (doc, path, amount) => {
+    const current = getPath(doc, path) ?? 0
+    if (typeof current !== 'number') {
+      throw new MongoError(`Cannot apply $inc to a value of non-numeric type. Field '${path}' has a non-numeric value`, 14)
+    }
+    setPath(doc, path, current + amount)
+  },
+  $mul: (doc, path, factor) => setPath(doc, path, (getPath(doc, path) ?? 0) * factor),
+  $min: (doc, path, value) => {
+    const current = getPath(doc, path)
+    if (current === undefined || compareValues(value, current) < 0) setPath(doc, path, clone(value))
+  },
+  $max: (doc, path, value) => {
+    const current = getPath(doc, path)
+    if (current === undefined || compareValues(value, current) > 0) setPath(doc, path, clone(value))
+  },
+  $rename: (doc, path, newPath) => {
+    const current = getPath(doc, path)
+    if (current === undefined) return
+    unsetPath(doc, path)
+    setPath(doc, newPath, current)
+  },
+  $currentDate: (doc, path) => setPath(doc, path, new Date()),
+  $push: (doc, path, value) => {
+    const array = arrayAt(doc, path, '$push')
+    const isModifier = isPlainObject(value) && '$each' in value
+    const items = isModifier ? value.$each : [value]
+    const position = isModifier && value.$position !== undefined ? value.$position : array.length
+    array.splice(position, 0, ...items.map(clone))
+    if (isModifier && value.$sort !== undefined) {
+      const spec = value.$sort
+      array.sort(isPlainObject(spec) ? sortComparator(spec) : (a, b) => compareValues(a, b) * spec)
+    }
+    if (isModifier && value.$slice !== undefined) {
+      const kept = value.$slice < 0 ? array.slice(value.$slice) : array.slice(0, value.$slice)
+      array.splice(0, array.length, ...kept)
+    }
+  },
+  $addToSet: (doc, path, value) => {
+    const array = arrayAt(doc, path, '$addToSet')
+    const items = isPlainObject(value) && '$each' in value ? value.$each : [value]
+    for (const item of items) {
+      if (!array.some(existing => valuesEqual(existing, item))) array.push(clone(item))
+    }
+  },
+  $pop: (doc, path, direction) => {
+    const array = arrayAt(doc, path, '$pop')
+    if (direction === -1) array.shift()
+    else array.pop()
+  },
+  $pull: (doc, path, condition) => {
+    const array = arrayAt(doc, path, '$pull')
+    const remove = (item) =>
+      isOperatorObject(condition)
+        ? matchesOperators([item], condition, doc)
+        : isPlainObject(condition) && isPlainObject(item)
+          ? matchesFilter(item, condition)
+          : matchesEquality(item, condition)
+    const kept = array.filter(item => !remove(item))
+    array.splice(0, array.length, ...kept)
+  },
+  $pullAll: (doc, path, values) => {
+    const array = arrayAt(doc, path, '$pullAll')
+    const kept = array.filter(item => !values.some(value => valuesEqual(item, value)))
+    array.splice(0, array.length, ...kept)
+  }
+}
+
+/**
+ * Returns a copy of `doc` with `update` applied: either a document of update
+ * operators or a replacement document. `isInsert` also applies $setOnInsert.
+ */
+export function applyUpdate(doc, update, { isInsert = false } = {}) {
+  if (Array.isArray(update)) {
+    return runStages([clone(doc)], update, null)[0]
+  }
+  if (!isPlainObject(update)) throw new MongoError('update must be an object', 9)
+
+  const keys = Object.keys(update)
+  if (keys.length === 0) throw new MongoError('Update document requires atomic operators', 9)
+
+  if (!keys.some(key => key.startsWith('$'))) {
+    return { _id: doc._id, ...clone(update) }
+  }
+
+  const result = clone(doc)
+  for (const [operator, fields] of Object.entries(update)) {
+    const apply = updateOperators[operator]
+    if (!apply) throw new MongoError(`Unknown modifier: ${operator}`, 9)
+
+    for (const [path, value] of Object.entries(fields)) {
+      if (path === '_id' || path.startsWith('_id.')) {
+        throw new MongoError("Performing an update on the path '_id' would modify the immutable field '_id'", 66)
+      }
+      if (operator === '$setOnInsert') {
+        if (isInsert) setPath(result, path, clone(value))
+      } else {
+        apply(result, path, value)
+      }
+    }
+  }
+  return result
+}
+
+// ---------------------------------------------------------------------------
+// Aggregation
+
+const sortComparator = (spec) => {
+  const fields = Object.entries(spec)
+  return (a, b) => {
+    for (const [path, direction] of fields) {
+      const result = compareValues(getPath(a, path), getPath(b, path))
+      if (result !== 0) return direction < 0 ? -result : result
+    }
+    return 0
+  }
+}
+
+const accumulators = {
+  $sum: (values) => numbersIn(values).reduce((total, value) => total + value, 0),
+  $avg: (values) => expressionOperators.$avg(values),
+  $min: (values) => expressionOperators.$min(values.filter(value => !Array.isArray(value))),
+  $max: (values) => expressionOperators.$max(values.filter(value => !Array.isArray(value))),
+  $first: (values) => values[0] ?? null,
+  $last: (values) => values[values.length - 1] ?? null,
+  $push: (values) => values.filter(value => value !== undefined),
+  $addToSet: (values) => {
+    const seen = new Map()
+    for (const value of values) if (value !== undefined) seen.set(valueKey(value), value)
+    return [...seen.values()]
+  },
+  $count: (values) => values.length
+}
+
+const groupStage = (docs, spec) => {
+  if (!('_id' in spec)) throw new MongoError("a group specification must include an _id", 15955)
+
+  const groups = new Map()
+  for (const doc of docs) {
+    const id = evaluate(spec._id, doc) ?? null
+    const key = valueKey(id)
+    if (!groups.has(key)) groups.set(key, { _id: id, docs: [] })
+    groups.get(key).docs.push(doc)
+  }
+
+  return [...groups.values()].map(({ _id, docs: members }) => {
+    const result = { _id }
+    for (const [field, accumulator] of Object.entries(spec)) {
+      if (field === '_id') continue
+      const [operator] = Object.keys(accumulator)
+      if (!accumulators[operator]) {
+        throw new MongoError(`unknown group operator '${operator}'`, 15952)
+      }
+      const values = members.map(doc => evaluate(accumulator[operator], doc))
+      result[field] = accumulators[operator](values)
+    }
+    return result
+  })
+}
+
+const unwindStage = (docs, spec) => {
+  const options = typeof spec === 'string' ? { path: spec } : spec
+  const path = options.path.replace(/^\$/, '')
+
+  return docs.flatMap((doc) => {
+    const value = getPath(doc, path)
+    if (Array.isArray(value) && value.length > 0) {
+      return value.map((item, index) => {
+        const result = clone(doc)
+        setPath(result, path, clone(item))
+        if (options.includeArrayIndex) result[options.includeArrayIndex] = index
+        return result
+      })
+    }
+    if (value !== undefined && value !== null && !Array.isArray(value)) {
+      const result = clone(doc)
+      if (options.includeArrayIndex) result[options.includeArrayIndex] = null
+      return [result]
+    }
+    if (!options.preserveNullAndEmptyArrays) return []
+
+    const result = clone(doc)
+    if (Array.isArray(value)) unsetPath(result, path)
+    if (options.includeArrayIndex) result[options.includeArrayIndex] = null
+    return [result]
+  })
+}
+
+const lookupStage = (docs, spec, db) => {
+  if (!db) throw new MongoError('$lookup is not allowed in this context')
+  const foreign = db.getCollection(spec.from).documents()
+
+  return docs.map((doc) => {
+    let matches
+    if (spec.pipeline) {
+      const vars = Object.fromEntries(
+        Object.entries(spec.let || {}).map(([name, expression]) => [name, evaluate(expression, doc)])
+      )
+      const candidates = spec.localField
+        ? foreign.filter(item => lookupMatches(doc, item, spec))
+        : foreign
+      matches = runStages(candidates, spec.pipeline, db, vars)
+    } else {
+      matches = foreign.filter(item => lookupMatches(doc, item, spec))
+    }
+    return { ...clone(doc), [spec.as]: matches.map(clone) }
+  })
+}
+
+const lookupMatches = (doc, foreignDoc, { localField, foreignField }) => {
+  const local = [].concat(getPath(doc, localField) ?? null)
+  const remote = [].concat(getPath(foreignDoc, foreignField) ?? null)
+  return local.some(value => remote.some(other => valuesEqual(value, other)))
+}
+
+const stages = {
+  $match: (docs, spec, db, vars) => docs.filter(doc => matchesFilter(doc, spec, vars)),
+  $project: (docs, spec) => docs.map(doc => projectDocument(doc, spec)),
+  $addFields: (docs, spec, db, vars) =>
+    docs.map((doc) => {
+      const result = clone(doc)
+      for (const [path, expression] of Object.entries(spec)) {
+        setPath(result, path, evaluate(expression, doc, vars))
+      }
+      return result
+    }),
+  $unset: (docs, spec) =>
+    docs.map((doc) => {
+      const result = clone(doc)
+      for (const path of [].concat(spec)) unsetPath(result, path)
+      return result
+    }),
+  $group: (docs, spec) => groupStage(docs, spec),
+  $sort: (docs, spec) => [...docs].sort(sortComparator(spec)),
+  $limit: (docs, spec) => docs.slice(0, spec),
+  $skip: (docs, spec) => docs.slice(spec),
+  $unwind: (docs, spec) => unwindStage(docs, spec),
+  $lookup: (docs, spec, db) => lookupStage(docs, spec, db),
+  $count: (docs, spec) => (docs.length ? [{ [spec]: docs.length }] : []),
+  $sortByCount: (docs, spec) =>
+    groupStage(docs, { _id: spec, count: { $sum: 1 } }).sort((a, b) => b.count - a.count),
+  $replaceRoot: (docs, spec) => docs.map(doc => evaluate(spec.newRoot, doc)),
+  $replaceWith: (docs, spec) => docs.map(doc => evaluate(spec, doc)),
+  $sample: (docs, spec) =>
+    [...docs]
+      .map(doc => ({ doc, order: Math.random() }))
+      .sort((a, b) => a.order - b.order)
+      .slice(0, spec.size)
+      .map(({ doc }) => doc),
+  $facet: (docs, spec, db) => [
+    Object.fromEntries(
+      Object.entries(spec).map(([name, pipeline]) => [name, runStages(docs, pipeline, db)])
+    )
+  ]
+}
+stages.$set = stages.$addFields
+
+/** Names of the aggregation stages the engine implements. */
+export const supportedStages = Object.keys(stages)
+
+/**
+ * Runs a single aggregation stage over `docs`. Exposed so a pipeline can be
+ * stepped through one stage at a time.
+ */
+export function runStage(docs, stage, db, vars = {}) {
+  const keys = Object.keys(stage || {})
+  if (keys.length !== 1) {
+    throw new MongoError('A pipeline stage specification object must contain exactly one field.', 40323)
+  }
+  const [name] = keys
+  if (!stages[name]) throw new MongoError(`Unrecognized pipeline stage name: '${name}'`, 40324)
+  return stages[name](docs, stage[name], db, vars)
+}
+
+const runStages = (docs, pipeline, db, vars = {}) =>
+  pipeline.reduce((current, stage) => runStage(current, stage, db, vars), docs)
+
+// ---------------------------------------------------------------------------
+// Cursor, Collection, Database
+
+/**
+ * A lazy result set. Like the real driver, sort is applied before skip and
+ * limit regardless of the order the methods are chained in.
+ */
+export class Cursor {
+  constructor(source) {
+    this.source = source
+    this.options = {}
+    this.buffer = null
+  }
+
+  sort(spec) {
+    this.options.sort = spec
+    return this
+  }
+
+  skip(count) {
+    this.options.skip = count
+    return this
+  }
+
+  limit(count) {
+    this.options.limit = count
+    return this
+  }
+
+  project(spec) {
+    this.options.projection = spec
+    return this
+  }
+
+  pretty() {
+    return this
+  }
+
+  batchSize() {
+    return this
+  }
+
+  toArray() {
+    if (this.buffer) return [...this.buffer]
+
+    let docs = this.source()
+    const { sort, skip, limit, projection } = this.options
+    if (sort) docs = [...docs].sort(sortComparator(sort))
+    if (skip) docs = docs.slice(skip)
+    if (limit) docs = docs.slice(0, Math.abs(limit))
+    if (projection) docs = docs.map(doc => projectDocument(doc, projection))
+    this.buffer = docs.map(clone)
+    return [...this.buffer]
+  }
+
+  count() {
+    return this.toArray().length
+  }
+
+  itcount() {
+    return this.count()
+  }
+
+  forEach(callback) {
+    this.toArray().forEach(doc => callback(doc))
+  }
+
+  map(callback) {
+    return this.toArray().map(doc => callback(doc))
+  }
+
+  hasNext() {
+    if (!this.buffer) this.toArray()
+    return this.buffer.length > 0
+  }
+
+  next() {
+    if (!this.buffer) this.toArray()
+    return this.buffer.shift() ?? null
+  }
+
+  explain() {
+    return {
+      queryPlanner: { winningPlan: { stage: 'COLLSCAN' } },
+      executionStats: { nReturned: this.count() },
+      note: 'The in-browser engine always scans the whole collection.'
+    }
+  }
+}
+
+const indexName = (keys) =>
+  Object.entries(keys).map(([field, direction]) => `${field}_${direction}`).join('_')
+
+export class Collection {
+  constructor(name, db) {
+    this.name = name
+    this.db = db
+    this.docs = []
+    this.indexes = [{ v: 2, key: { _id: 1 }, name: '_id_' }]
+  }
+
+  documents() {
+    return this.docs
+  }
+
+  checkUnique(doc, ignore) {
+    for (const index of this.indexes) {
+      if (index.name !== '_id_' && !index.unique) continue
+      const fields = Object.keys(index.key)
+      const key = valueKey(fields.map(field => getPath(doc, field) ?? null))
+      const duplicate = this.docs.find(other =>
+        other !== ignore && valueKey(fields.map(field => getPath(other, field) ?? null)) === key
+      )
+      if (duplicate) {
+        const value = fields.map(field => `${field}: ${JSON.stringify(toExtendedJson(getPath(doc, field) ?? null))}`)
+        throw new MongoError(
+          `E11000 duplicate key error collection: ${this.db.name}.${this.name} index: ${index.name} dup key: { ${value.join(', ')} }`,
+          11000
+        )
+      }
+    }
+  }
+
+  insertDocument(doc) {
+    if (!isPlainObject(doc)) throw new MongoError('document must be an object', 2)
+    const { _id = new ObjectId(), ...fields } = doc
+    const stored = { _id, ...clone(fields) }
+    this.checkUnique(stored)
+    this.docs.push(stored)
+    return stored._id
+  }
+
+  insertOne(doc) {
+    return { acknowledged: true, insertedId: this.insertDocument(doc) }
+  }
+
+  insertMany(docs, { ordered = true } = {}) {
+    if (!Array.isArray(docs)) throw new MongoError('insertMany needs an array of documents', 2)
+
+    const insertedIds = {}
+    const errors = []
+    for (const [index, doc] of docs.entries()) {
+      try {
+        insertedIds[index] = this.insertDocument(doc)
+      } catch (error) {
+        errors.push({ index, message: error.message })
+        if (ordered) break
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new MongoError(
+        `BulkWriteError: ${errors.map(({ index, message }) => `[${index}] ${message}`).join('; ')}` +
+          ` (${Object.keys(insertedIds).length} inserted)`,
+        11000
+      )
+      error.name = 'MongoBulkWriteError'
+      throw error
+    }
+    return { acknowledged: true, insertedIds }
+  }
+
+  find(filter = {}, projection) {
+    const cursor = new Cursor(() => this.docs.filter(doc => matchesFilter(doc, filter)))
+    return projection ? cursor.project(projection) : cursor
+  }
+
+  findOne(filter = {}, projection) {
+    return this.find(filter, projection).limit(1).toArray()[0] ?? null
+  }
+
+  countDocuments(filter = {}) {
+    return this.docs.filter(doc => matchesFilter(doc, filter)).length
+  }
+
+  estimatedDocumentCount() {
+    return this.docs.length
+  }
+
+  distinct(field, filter = {}) {
+    const values = this.docs
+      .filter(doc => matchesFilter(doc, filter))
+      .flatMap(doc => [].concat(getPath(doc, field) ?? []))
+    return accumulators.$addToSet(values).sort(compareValues)
+  }
+
+  update(filter, update, { upsert = false, multi = false, sort } = {}) {
+    let targets = this.docs.filter(doc => matchesFilter(doc, filter))
+    if (sort) targets = [...targets].sort(sortComparator(sort))
+    if (!multi) targets = targets.slice(0, 1)
+
+    let modifiedCount = 0
+    const changes = []
+    for (const doc of targets) {
+      const updated = applyUpdate(doc, update)
+      this.checkUnique(updated, doc)
+      if (valueKey(updated) !== valueKey(doc)) modifiedCount++
+      changes.push({ before: clone(doc), after: updated })
+      this.docs[this.docs.indexOf(doc)] = updated
+    }
+
+    const result = { acknowledged: true, insertedId: null, matchedCount: targets.length, modifiedCount, upsertedCount: 0 }
+
+    if (targets.length === 0 && upsert) {
+      const seed = Object.fromEntries(
+        Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value))
+      )
+      const base = {}
+      for (const [path, value] of Object.entries(seed)) setPath(base, path, clone(value))
+      const inserted = applyUpdate(base, update, { isInsert: true })
+      result.insertedId = this.insertDocument(inserted)
+      result.upsertedCount = 1
+      changes.push({ before: null, after: this.docs[this.docs.length - 1] })
+    }
+
+    Object.defineProperty(result, 'changes', { value: changes })
+    return result
+  }
+
+  updateOne(filter, update, options = {}) {
+    return this.update(filter, update, { ...options, multi: false })
+  }
+
+  updateMany(filter, update, options = {}) {
+    return this.update(filter, update, { ...options, multi: true })
+  }
+
+  replaceOne(filter, replacement, options = {}) {
+    if (Object.keys(replacement).some(key => key.startsWith('$'))) {
+      throw new MongoError('Replacement document must not contain atomic operators', 2)
+    }
+    return this.update(filter, replacement, { ...options, multi: false })
+  }
+
+  findOneAndUpdate(filter, update, { returnDocument = 'before', returnNewDocument, projection, ...options } = {}) {
+    const { changes } = this.update(filter, update, { ...options, multi: false })
+    if (changes.length === 0) return null
+    const [{ before, after }] = changes
+    const returned = returnNewDocument || returnDocument === 'after' ? after : before
+    return returned ? projectDocument(clone(returned), projection) : null
+  }
+
+  findOneAndReplace(filter, replacement, options = {}) {
+    return this.findOneAndUpdate(filter, replacement, options)
+  }
+
+  findOneAndDelete(filter = {}, { sort, projection } = {}) {
+    let targets = this.docs.filter(doc => matchesFilter(doc, filter))
+    if (sort) targets = targets.sort(sortComparator(sort))
+    const [doc] = targets
+    if (!doc) return null
+    this.docs.splice(this.docs.indexOf(doc), 1)
+    return projectDocument(doc, projection)
+  }
+
+  delete(filter, multi) {
+    if (!isPlainObject(filter)) throw new MongoError('delete needs a filter document', 2)
+    const targets = this.docs.filter(doc => matchesFilter(doc, filter))
+    const removed = multi ? targets : targets.slice(0, 1)
+    this.docs = this.docs.filter(doc => !removed.includes(doc))
+    return { acknowledged: true, deletedCount: removed.length }
+  }
+
+  deleteOne(filter = {}) {
+    return this.delete(filter, false)
+  }
+
+  deleteMany(filter = {}) {
+    return this.delete(filter, true)
+  }
+
+  aggregate(pipeline = []) {
+    if (!Array.isArray(pipeline)) throw new MongoError('aggregate needs a pipeline array', 14)
+    return new Cursor(() => runStages(this.docs, pipeline, this.db))
+  }
+
+  createIndex(keys, options = {}) {
+    const name = options.name || indexName(keys)
+    if (!this.indexes.some(index => index.name === name)) {
+      const index = { v: 2, key: clone(keys), name }
+      if (options.unique) index.unique = true
+      if (index.unique) this.checkIndexable(index)
+      this.indexes.push(index)
+    }
+    return name
+  }
+
+  checkIndexable(index) {
+    const seen = new Set()
+    for (const doc of this.docs) {
+      const key = valueKey(Object.keys(index.key).map(field => getPath(doc, field) ?? null))
+      if (seen.has(key)) {
+        throw new MongoError(`E11000 duplicate key error collection: ${this.db.name}.${this.name} index: ${index.name}`, 11000)
+      }
+      seen.add(key)
+    }
+  }
+
+  createIndexes(specs) {
+    return specs.map(({ key, ...options }) => this.createIndex(key, options))
+  }
+
+  getIndexes() {
+    return clone(this.indexes)
+  }
+
+  dropIndex(name) {
+    const target = typeof name === 'string' ? name : indexName(name)
+    if (target === '_id_') throw new MongoError('cannot drop _id index', 72)
+    const before = this.indexes.length
+    this.indexes = this.indexes.filter(index => index.name !== target)
+    if (this.indexes.length === before) throw new MongoError(`index not found with name [${target}]`, 27)
+    return { nIndexesWas: before, ok: 1 }
+  }
+
+  drop() {
+    return this.db.dropCollection(this.name)
+  }
+}
+
+export class Database {
+  constructor(name = 'test') {
+    this.name = name
+    this.collections = new Map()
+  }
+
+  getName() {
+    return this.name
+  }
+
+  getCollection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Collection(name, this))
+    return this.collections.get(name)
+  }
+
+  createCollection(name) {
+    this.getCollection(name)
+    return { ok: 1 }
+  }
+
+  getCollectionNames() {
+    return [...this.collections.keys()].sort()
+  }
+
+  dropCollection(name) {
+    return this.collections.delete(name)
+  }
+
+  dropDatabase() {
+    this.collections.clear()
+    return { ok: 1, dropped: this.name }
+  }
+}
+
+/**
+ * Creates a database pre-filled from a `{ collection: [documents] }` seed,
+ * such as a topic's `playground` frontmatter.
+ */
+export function createDatabase(seed = {}, name = 'test') {
+  const db = new Database(name)
+  for (const [collection, docs] of Object.entries(seed)) {
+    db.getCollection(collection).insertMany(fromExtendedJson(docs))
+  }
+  return db
+}
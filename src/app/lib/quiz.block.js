@@ -0,0 +1,138 @@
+import yaml from 'js-yaml'
+
+/**
+ * ```quiz blocks hold YAML: an optional `id` and a list of `questions`
+ * (a bare list works too). Each question has a `type`, the `question` text
+ * and an optional `explanation` shown once answers are checked:
+ *
+ *   single    options[], answer: index of the right option
+ *   multiple  options[], answer: indexes of every right option
+ *   query     answer: a mongosh query; accept[]: other accepted spellings
+ *   order     items[] listed in the right order; readers see them shuffled
+ *
+ * The id keys the stored score, so give it one if the questions may be
+ * reworded later; otherwise it is derived from the question text.
+ */
+export const questionTypes = ['single', 'multiple', 'query', 'order']
+
+export class QuizError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'QuizError'
+  }
+}
+
+const isIndex = (value, options) =>
+  Number.isInteger(value) && value >= 0 && value < options.length
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string')
+
+const checkQuestion = (question, n) => {
+  const where = `Question ${n}`
+  if (!question || typeof question !== 'object') {
+    throw new QuizError(`${where} must be a mapping`)
+  }
+
+  const { type, answer, options, items } = question
+  if (!questionTypes.includes(type)) {
+    throw new QuizError(`${where} has type "${type}"; expected one of ${questionTypes.join(', ')}`)
+  }
+  if (typeof question.question !== 'string' || !question.question.trim()) {
+    throw new QuizError(`${where} needs a "question"`)
+  }
+
+  if (type === 'single' || type === 'multiple') {
+    if (!isStringList(options)) {
+      throw new QuizError(`${where} needs a list of "options"`)
+    }
+    const answers = type === 'single' ? [answer] : answer
+    if (!Array.isArray(answers) || answers.length === 0 ||
+      !answers.every(index => isIndex(index, options))) {
+      throw new QuizError(type === 'single'
+        ? `${where} needs "answer": the index of the right option (0-${options.length - 1})`
+        : `${where} needs "answer": a list of option indexes (0-${options.length - 1})`)
+    }
+  }
+  if (type === 'query') {
+    if (typeof answer !== 'string' || !answer.trim()) {
+      throw new QuizError(`${where} needs "answer": the expected query`)
+    }
+    if (question.accept !== undefined && !isStringList(question.accept)) {
+      throw new QuizError(`${where} has an "accept" that is not a list of queries`)
+    }
+  }
+  if (type === 'order' && (!isStringList(items) || items.length < 2)) {
+    throw new QuizError(`${where} needs at least two "items", listed in the right order`)
+  }
+
+  return {
+    type,
+    question: question.question.trim(),
+    explanation: typeof question.explanation === 'string' ? question.explanation.trim() : null,
+    options: options || null,
+    items: items || null,
+    answer: type === 'multiple' ? [...new Set(answer)].sort((a, b) => a - b) : answer ?? null,
+    accept: question.accept || []
+  }
+}
+
+// djb2: short and stable, enough to tell quizzes on one page apart.
+export const hashString = (text) => {
+  let hash = 5381
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0
+  }
+  return hash.toString(36)
+}
+
+/**
+ * Parses the body of a ```quiz block into `{ id, questions }`. Throws a
+ * QuizError naming the question at fault when the block is malformed.
+ */
+export const parseQuiz = (source) => {
+  let data
+  try {
+    data = yaml.load(source)
+  } catch (error) {
+    throw new QuizError(`Invalid YAML: ${error.reason || error.message}`)
+  }
+
+  const list = Array.isArray(data) ? data : data?.questions
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new QuizError('A quiz block needs a list of questions')
+  }
+  if (data.id !== undefined && typeof data.id !== 'string') {
+    throw new QuizError('The quiz "id" must be a string')
+  }
+
+  const questions = list.map((question, i) => checkQuestion(question, i + 1))
+  const id = data.id || `quiz-${hashString(questions.map(q => q.question).join('\n'))}`
+  return { id, questions }
+}
+
+// Whitespace and quote style don't change a query's meaning.
+export const normalizeQuery = (query) =>
+  query
+    .replace(/;\s*$/, '')
+    .replace(/"/g, "'")
+    .replace(/\s+/g, '')
+
+/**
+ * The order an `order` question's items are first shown in: a shuffle
+ * seeded by the quiz id, so the server and client render the same list,
+ * and never the answer itself.
+ */
+export const shuffledOrder = (count, seed) => {
+  const order = Array.from({ length: count }, (_, i) => i)
+  let state = parseInt(hashString(seed), 36) || 1
+  for (let i = count - 1; i > 0; i--) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0
+    const j = state % (i + 1)
+    const item = order[i]
+    order[i] = order[j]
+    order[j] = item
+  }
+  if (order.every((item, i) => item === i)) order.push(order.shift())
+  return order
+}
@@ -0,0 +1,60 @@
+import { toString } from 'mdast-util-to-string'
+import { getAllMarkdownContent } from './mark.down'
+import { parseMarkdown } from './heading.ids'
+
+const INLINE_TYPES = new Set(['emphasis', 'strong', 'delete', 'link', 'linkReference'])
+
+// Plain text of an mdast node: inline runs are joined as-is, block children
+// are separated by a space so list items and table cells don't run together.
+const toPlainText = (node) => {
+  if (node.value !== undefined) return node.value
+  if (!node.children) return ''
+
+  const separator = INLINE_TYPES.has(node.type) || node.type === 'paragraph' ? '' : ' '
+  return node.children.map(toPlainText).join(separator)
+}
+
+// Splits a document into one entry per h1-h4 section, using the heading ids
+// the renderer puts on the page.
+const splitSections = (content) => {
+  const sections = []
+  let current = { heading: null, headingId: null, parts: [] }
+
+  for (const node of parseMarkdown(content).children) {
+    if (node.type === 'heading' && node.data?.id) {
+      sections.push(current)
+      current = { heading: toString(node), headingId: node.data.id, parts: [] }
+    } else {
+      current.parts.push(toPlainText(node))
+    }
+  }
+
+  sections.push(current)
+
+  return sections
+    .map(({ heading, headingId, parts }) => ({
+      heading,
+      headingId,
+      text: parts.join(' ').replace(/\s+/g, ' ').trim()
+    }))
+    .filter(section => section.heading || section.text)
+}
+
+/**
+ * Builds the site-wide search index: one record per section of every topic,
+ * carrying the topic title, the nearest heading and its anchor.
+ */
+export function buildSearchIndex() {
+  return getAllMarkdownContent().flatMap(({ level, topic, title, content }) => {
+    const url = `/learn/${level}/${topic}`
+
+    return splitSections(content).map(section => ({
+      title,
+      level,
+      topic,
+      heading: section.heading,
+      url: section.headingId ? `${url}#${section.headingId}` : url,
+      text: section.text
+    }))
+  })
+}
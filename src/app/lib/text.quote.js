@@ -0,0 +1,112 @@
+// Text-quote anchors: a passage is remembered by its exact text plus a few
+// characters on either side, so it can be found again after the page is
+// edited instead of relying on offsets that shift with every change.
+
+export const CONTEXT_LENGTH = 32
+
+// Minimum context on both sides before an edited passage is recovered from
+// its surroundings alone.
+const MIN_CONTEXT = 8
+
+/**
+ * Describes `text.slice(start, end)` as `{ exact, prefix, suffix, position }`.
+ * `position` is only a tie-breaker when the quote appears more than once.
+ */
+export function describeQuote(text, start, end) {
+  return {
+    exact: text.slice(start, end),
+    prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+    suffix: text.slice(end, end + CONTEXT_LENGTH),
+    position: start
+  }
+}
+
+const sharedSuffix = (a, b) => {
+  let n = 0
+  while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++
+  return n
+}
+
+const sharedPrefix = (a, b) => {
+  let n = 0
+  while (n < a.length && n < b.length && a[n] === b[n]) n++
+  return n
+}
+
+const occurrences = (text, value) => {
+  const found = []
+  for (let i = text.indexOf(value); i !== -1 && value; i = text.indexOf(value, i + 1)) found.push(i)
+  return found
+}
+
+// Collapses whitespace runs to one space and keeps, for every character of
+// the result, its index in the original text.
+const normalize = (text) => {
+  let value = ''
+  const map = []
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      if (value.endsWith(' ')) continue
+      value += ' '
+    } else {
+      value += text[i]
+    }
+    map.push(i)
+  }
+  map.push(text.length)
+  return { value, map }
+}
+
+const squash = (value) => value.replace(/\s+/g, ' ')
+
+// Picks the occurrence whose surroundings best match the stored context.
+const bestMatch = (text, starts, length, quote) => {
+  let best = null
+  for (const start of starts) {
+    const score =
+      sharedSuffix(text.slice(Math.max(0, start - quote.prefix.length), start), quote.prefix) +
+      sharedPrefix(text.slice(start + length, start + length + quote.suffix.length), quote.suffix)
+    const distance = Math.abs(start - (quote.position ?? 0))
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { start, end: start + length, score, distance }
+    }
+  }
+  return best && { start: best.start, end: best.end }
+}
+
+/**
+ * Finds a quote from describeQuote() in `text` and returns `{ start, end }`,
+ * or null when it is gone. Tries the exact text, then the text with
+ * whitespace collapsed, then whatever now sits between the old prefix and
+ * suffix (the passage itself was reworded). The caller compares the result
+ * with `quote.exact` to tell whether the anchor moved.
+ */
+export function locateQuote(text, quote) {
+  if (!quote?.exact) return null
+
+  const exact = bestMatch(text, occurrences(text, quote.exact), quote.exact.length, quote)
+  if (exact) return exact
+
+  const normalized = normalize(text)
+  const loose = bestMatch(
+    normalized.value,
+    occurrences(normalized.value, squash(quote.exact)),
+    squash(quote.exact).length,
+    { ...quote, prefix: squash(quote.prefix), suffix: squash(quote.suffix) }
+  )
+  if (loose) return { start: normalized.map[loose.start], end: normalized.map[loose.end - 1] + 1 }
+
+  if (quote.prefix.length < MIN_CONTEXT || quote.suffix.length < MIN_CONTEXT) return null
+
+  const maxGap = quote.exact.length * 2 + CONTEXT_LENGTH
+  const candidates = occurrences(text, quote.prefix).flatMap(at => {
+    const start = at + quote.prefix.length
+    const end = text.slice(start, start + maxGap + quote.suffix.length).indexOf(quote.suffix)
+    return end > 0 && text.slice(start, start + end).trim() ? [{ start, end: start + end }] : []
+  })
+  if (candidates.length === 0) return null
+
+  return candidates.reduce((a, b) =>
+    Math.abs(a.start - (quote.position ?? 0)) <= Math.abs(b.start - (quote.position ?? 0)) ? a : b
+  )
+}
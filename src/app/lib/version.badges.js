@@ -0,0 +1,45 @@
+import { visit, SKIP } from 'unist-util-visit'
+
+/**
+ * Inline version badges, written like callout markers anywhere in running
+ * text or a heading:
+ *
+ *   ## Sorting in updateOne [!added 8.0]
+ *
+ * The marker must name a `major.minor` server version. Anything else in
+ * brackets is left as text.
+ */
+const BADGE_MARKER = /\[!added[ \t]+(\d+\.\d+)\]/gi
+
+/**
+ * Remark plugin that replaces badge markers with empty `versionBadge`
+ * nodes rendered as <span data-added="x.y">. They have no text of their
+ * own, so heading ids, the table of contents and search skip them; the
+ * renderer supplies the "Added in x.y" label.
+ */
+export function remarkVersionBadges() {
+  return (tree) => {
+    visit(tree, 'text', (node, index, parent) => {
+      const parts = []
+      let last = 0
+      // Every part keeps the position of the text it came from.
+      const textPart = (value) => ({ type: 'text', value, position: node.position })
+
+      for (const match of node.value.matchAll(BADGE_MARKER)) {
+        if (match.index > last) parts.push(textPart(node.value.slice(last, match.index)))
+        parts.push({
+          type: 'versionBadge',
+          version: match[1],
+          position: node.position,
+          data: { hName: 'span', hProperties: { dataAdded: match[1] } }
+        })
+        last = match.index + match[0].length
+      }
+      if (parts.length === 0) return
+
+      if (last < node.value.length) parts.push(textPart(node.value.slice(last)))
+      parent.children.splice(index, 1, ...parts)
+      return [SKIP, index + parts.length]
+    })
+  }
+}
@@ -0,0 +1,69 @@
+// Just enough ZIP for EPUB: entries are stored uncompressed, which every
+// reader accepts and which the EPUB `mimetype` entry requires anyway.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date and time fields.
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+})
+
+const header = (fields) => {
+  const bytes = new Uint8Array(fields.reduce((size, [, width]) => size + width, 0))
+  const view = new DataView(bytes.buffer)
+  let offset = 0
+  for (const [value, width] of fields) {
+    if (width === 2) view.setUint16(offset, value, true)
+    else view.setUint32(offset, value, true)
+    offset += width
+  }
+  return bytes
+}
+
+/**
+ * Packs `[{ name, data }]` (data as a string or bytes) into a ZIP archive,
+ * in the given order, and returns its bytes.
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder()
+  const { time, date } = dosDateTime(modified)
+  const parts = []
+  const central = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data
+    const crc = crc32(data)
+    // Version 2.0, UTF-8 names (bit 11), stored (method 0).
+    const common = [[20, 2], [0x0800, 2], [0, 2], [time, 2], [date, 2], [crc, 4], [data.length, 4], [data.length, 4], [name.length, 2], [0, 2]]
+
+    const local = header([[0x04034b50, 4], ...common])
+    parts.push(local, name, data)
+    central.push(header([[0x02014b50, 4], [20, 2], ...common, [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]]), name)
+    offset += local.length + name.length + data.length
+  }
+
+  const directorySize = central.reduce((size, part) => size + part.length, 0)
+  const end = header([[0x06054b50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2], [directorySize, 4], [offset, 4], [0, 2]])
+
+  const chunks = [...parts, ...central, end]
+  const zip = new Uint8Array(chunks.reduce((size, part) => size + part.length, 0))
+  let position = 0
+  for (const chunk of chunks) {
+    zip.set(chunk, position)
+    position += chunk.length
+  }
+  return zip
+}
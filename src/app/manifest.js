@@ -0,0 +1,19 @@
+// Served as /manifest.webmanifest so the docs can be installed as an app;
+// offline support comes from the service worker in sw.js/.
+export default function manifest() {
+  return {
+    name: "MongoDB Documentation",
+    short_name: "MongoDB Docs",
+    description: "MongoDB from basic to expert level, readable offline.",
+    start_url: "/",
+    scope: "/",
+    display: "standalone",
+    background_color: "#ffffff",
+    theme_color: "#111827",
+    icons: [
+      { src: "/icon/192", sizes: "192x192", type: "image/png", purpose: "any" },
+      { src: "/icon/512", sizes: "512x512", type: "image/png", purpose: "any" },
+      { src: "/icon/512", sizes: "512x512", type: "image/png", purpose: "maskable" },
+    ],
+  };
+}
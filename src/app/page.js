@@ -1,24 +1,23 @@
-import { getMarkdownContent } from "@/app/lib/mark.down";
+import { getMarkdownContent, HOME_PAGE } from "@/app/lib/mark.down";
 import MarkdownRenderer from "@/app/components/Mark.down.render";
 import RightSidebar from "@/app/components/Right.sidebar";
-import SearchBar from "./components/Search.bar";
+import ContentsDropdown from "@/app/components/Contents.dropdown";
 
 export default function Home() {
-  const markdownData = getMarkdownContent("basic", "Home");
+  const markdownData = getMarkdownContent(HOME_PAGE.level, HOME_PAGE.topic);
 
   return (
-    <>
-      <SearchBar markdownData={markdownData} />
-
-      <div className="flex flex-1 min-h-screen">
-        <div className="flex-1 max-w-4xl mx-auto px-6 py-8 md:px-8 md:py-10 lg:px-12 lg:py-12">
-          {markdownData && (
+    <div className="flex flex-1 min-h-screen">
+      <div className="flex-1 min-w-0 max-w-4xl mx-auto px-4 pb-8 sm:px-8 md:pb-10 lg:pb-12 xl:pt-12">
+        {markdownData && (
+          <>
+            <ContentsDropdown content={markdownData.content} />
             <MarkdownRenderer content={markdownData.content} />
-          )}
-        </div>
-
-        {markdownData && <RightSidebar content={markdownData.content} />}
+          </>
+        )}
       </div>
-    </>
+
+      {markdownData && <RightSidebar content={markdownData.content} />}
+    </div>
   );
 }
@@ -0,0 +1,136 @@
+import { flashRange } from './Search.highlight';
+import { addHighlightStyle } from './Highlight.styles';
+
+const HIGHLIGHT_NAME = 'annotation';
+const NOTE_HIGHLIGHT_NAME = 'annotation-note';
+const WAIT_TIMEOUT = 5000;
+
+// Controls and decorations whose text isn't part of the article.
+const IGNORED = 'button, svg, textarea, select, [aria-hidden="true"], [data-annotations="off"]';
+
+// Ranges drawn on the current page, by highlight id.
+const drawn = new Map();
+
+/**
+ * The article's readable text with the text node each run came from, so
+ * offsets into `text` can be turned back into DOM ranges.
+ */
+export const readArticle = (article) => {
+  const walker = document.createTreeWalker(article, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) =>
+      node.parentElement?.closest(IGNORED)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT,
+  });
+
+  const nodes = [];
+  let text = '';
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    nodes.push({ node, start: text.length });
+    text += node.textContent;
+  }
+  return { text, nodes };
+};
+
+// Offset into the article text of a DOM boundary point.
+const offsetOf = ({ text, nodes }, container, offset) => {
+  const own = nodes.find((entry) => entry.node === container);
+  if (own) return own.start + offset;
+
+  const point = document.createRange();
+  point.setStart(container, offset);
+  const next = nodes.find((entry) => point.comparePoint(entry.node, 0) >= 0);
+  return next ? next.start : text.length;
+};
+
+/** `{ start, end }` of a DOM range within readArticle()'s text. */
+export const rangeToOffsets = (article, range) => ({
+  start: offsetOf(article, range.startContainer, range.startOffset),
+  end: offsetOf(article, range.endContainer, range.endOffset),
+});
+
+const boundary = ({ nodes }, offset, isEnd) => {
+  const entry = nodes.findLast((candidate) =>
+    isEnd ? candidate.start < offset : candidate.start <= offset
+  ) || nodes[0];
+  return [entry.node, Math.min(offset - entry.start, entry.node.textContent.length)];
+};
+
+/** A DOM range for `{ start, end }` in readArticle()'s text. */
+export const offsetsToRange = (article, { start, end }) => {
+  const range = document.createRange();
+  range.setStart(...boundary(article, start, false));
+  range.setEnd(...boundary(article, end, true));
+  return range;
+};
+
+/** Id of the last heading that starts before `node`, or ''. */
+export const headingBefore = (root, node) =>
+  [...root.querySelectorAll('[data-heading]')]
+    .filter((heading) => heading.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING)
+    .pop()?.id || '';
+
+/**
+ * Draws the page's highlights with the CSS Custom Highlight API, so the
+ * React-managed DOM is never touched. Highlights with a note get their own
+ * style. `entries` is `[{ id, range, hasNote }]`.
+ */
+export const paintHighlights = (entries) => {
+  drawn.clear();
+  entries.forEach(({ id, range }) => drawn.set(id, range));
+  if (!window.CSS?.highlights) return;
+
+  // The colour tokens follow the theme, so the rules never need updating.
+  addHighlightStyle(HIGHLIGHT_NAME, 'background-color: var(--doc-mark);');
+  addHighlightStyle(
+    NOTE_HIGHLIGHT_NAME,
+    'background-color: var(--doc-mark); text-decoration: underline 2px var(--doc-mark-note);'
+  );
+  CSS.highlights.set(
+    HIGHLIGHT_NAME,
+    new Highlight(...entries.filter((entry) => !entry.hasNote).map((entry) => entry.range))
+  );
+  CSS.highlights.set(
+    NOTE_HIGHLIGHT_NAME,
+    new Highlight(...entries.filter((entry) => entry.hasNote).map((entry) => entry.range))
+  );
+};
+
+export const clearHighlights = () => {
+  drawn.clear();
+  CSS.highlights?.delete(HIGHLIGHT_NAME);
+  CSS.highlights?.delete(NOTE_HIGHLIGHT_NAME);
+};
+
+/** The drawn highlight under the viewport point, as `[id, range]`. */
+export const highlightAt = (x, y) => {
+  const caret = document.caretPositionFromPoint?.(x, y);
+  const point = caret
+    ? { node: caret.offsetNode, offset: caret.offset }
+    : (() => {
+        const range = document.caretRangeFromPoint?.(x, y);
+        return range && { node: range.startContainer, offset: range.startOffset };
+      })();
+  if (!point) return null;
+
+  return [...drawn].find(([, range]) => range.isPointInRange(point.node, point.offset)) || null;
+};
+
+/**
+ * After opening a highlight from the bookmarks panel, waits for `path` to
+ * render with highlight `id` drawn, then scrolls to it and flashes it.
+ */
+export const revealHighlight = (path, id) => {
+  const started = performance.now();
+
+  const check = () => {
+    const range = window.location.pathname === path && drawn.get(id);
+    if (range) {
+      flashRange(range.startContainer.parentElement, range);
+    } else if (performance.now() - started < WAIT_TIMEOUT) {
+      requestAnimationFrame(check);
+    }
+  };
+
+  check();
+};
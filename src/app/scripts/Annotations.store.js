@@ -0,0 +1,158 @@
+import { createLocalStore } from './Local.store';
+
+const EXPORT_VERSION = 1;
+
+const { read, write, useValue } = createLocalStore('annotations', { bookmarks: [], highlights: [] });
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const bookmarkId = (slug, headingId) => `${slug}#${headingId}`;
+
+/**
+ * The reader's bookmarks and highlights, kept only in this browser:
+ * `{ bookmarks, highlights }`. A bookmark is
+ * `{ id, slug, headingId, heading, note, createdAt }`; a highlight is
+ * `{ id, slug, headingId, exact, prefix, suffix, position, note, createdAt }`
+ * where exact/prefix/suffix/position come from lib/text.quote.js.
+ */
+export const useAnnotations = useValue;
+
+export const isBookmarked = (annotations, slug, headingId) =>
+  annotations.bookmarks.some((bookmark) => bookmark.id === bookmarkId(slug, headingId));
+
+export const toggleBookmark = ({ slug, headingId, heading }) => {
+  const annotations = read();
+  const id = bookmarkId(slug, headingId);
+  const bookmarks = annotations.bookmarks.some((bookmark) => bookmark.id === id)
+    ? annotations.bookmarks.filter((bookmark) => bookmark.id !== id)
+    : [
+        ...annotations.bookmarks,
+        { id, slug, headingId, heading, note: '', createdAt: new Date().toISOString() },
+      ];
+  write({ ...annotations, bookmarks });
+};
+
+export const updateBookmark = (id, patch) => {
+  const annotations = read();
+  write({
+    ...annotations,
+    bookmarks: annotations.bookmarks.map((bookmark) =>
+      bookmark.id === id ? { ...bookmark, ...patch } : bookmark
+    ),
+  });
+};
+
+export const removeBookmark = (id) => {
+  const annotations = read();
+  write({ ...annotations, bookmarks: annotations.bookmarks.filter((bookmark) => bookmark.id !== id) });
+};
+
+/** Saves a highlight for `quote` (see describeQuote) and returns its id. */
+export const addHighlight = ({ slug, headingId, quote, note = '' }) => {
+  const annotations = read();
+  const id = newId();
+  write({
+    ...annotations,
+    highlights: [
+      ...annotations.highlights,
+      { id, slug, headingId, ...quote, note, createdAt: new Date().toISOString() },
+    ],
+  });
+  return id;
+};
+
+export const updateHighlight = (id, patch) => {
+  const annotations = read();
+  write({
+    ...annotations,
+    highlights: annotations.highlights.map((highlight) =>
+      highlight.id === id ? { ...highlight, ...patch } : highlight
+    ),
+  });
+};
+
+export const removeHighlight = (id) => {
+  const annotations = read();
+  write({
+    ...annotations,
+    highlights: annotations.highlights.filter((highlight) => highlight.id !== id),
+  });
+};
+
+/** Everything as a JSON document for importAnnotations(). */
+export const exportAnnotations = () => {
+  const { bookmarks, highlights } = read();
+  return JSON.stringify(
+    { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), bookmarks, highlights },
+    null,
+    2
+  );
+};
+
+const isText = (value) => typeof value === 'string';
+
+const validBookmark = (entry) =>
+  entry && isText(entry.slug) && isText(entry.headingId) && isText(entry.heading ?? '');
+
+const validHighlight = (entry) =>
+  entry &&
+  isText(entry.id) &&
+  isText(entry.slug) &&
+  isText(entry.exact) &&
+  entry.exact.length > 0 &&
+  isText(entry.prefix ?? '') &&
+  isText(entry.suffix ?? '');
+
+/**
+ * Merges an exported document into the stored annotations. Entries already
+ * present (same id) are kept as they are. Returns how many of each were
+ * added; throws with a readable message when the file isn't an export.
+ */
+export const importAnnotations = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (data?.version !== EXPORT_VERSION || !Array.isArray(data.bookmarks) || !Array.isArray(data.highlights)) {
+    throw new Error('The file is not a bookmarks export from this site.');
+  }
+
+  const annotations = read();
+  const known = new Set([...annotations.bookmarks, ...annotations.highlights].map((entry) => entry.id));
+  // True the first time an id is seen, so repeats in the file are dropped too.
+  const isNew = (id) => !known.has(id) && Boolean(known.add(id));
+
+  const bookmarks = data.bookmarks
+    .filter(validBookmark)
+    .map((entry) => ({
+      id: bookmarkId(entry.slug, entry.headingId),
+      slug: entry.slug,
+      headingId: entry.headingId,
+      heading: entry.heading || entry.headingId,
+      note: isText(entry.note) ? entry.note : '',
+      createdAt: isText(entry.createdAt) ? entry.createdAt : new Date().toISOString(),
+    }))
+    .filter((entry) => isNew(entry.id));
+
+  const highlights = data.highlights
+    .filter((entry) => validHighlight(entry) && isNew(entry.id))
+    .map((entry) => ({
+      id: entry.id,
+      slug: entry.slug,
+      headingId: isText(entry.headingId) ? entry.headingId : '',
+      exact: entry.exact,
+      prefix: entry.prefix || '',
+      suffix: entry.suffix || '',
+      position: Number.isFinite(entry.position) ? entry.position : 0,
+      note: isText(entry.note) ? entry.note : '',
+      createdAt: isText(entry.createdAt) ? entry.createdAt : new Date().toISOString(),
+    }));
+
+  write({
+    bookmarks: [...annotations.bookmarks, ...bookmarks],
+    highlights: [...annotations.highlights, ...highlights],
+  });
+  return { bookmarks: bookmarks.length, highlights: highlights.length };
+};
@@ -0,0 +1,118 @@
+import { parseAsciiTree } from '../lib/ascii.tree';
+
+// Languages the code blocks know about. `prism` is the grammar registered
+// with the highlighter (null renders plain text), `label` is what the block
+// header shows, and `aliases` are the other fence tags that map here.
+export const languages = {
+  mongosh: { label: 'mongosh', prism: 'javascript', aliases: ['mongo', 'mongodb'] },
+  // A mongosh aggregate() call rendered as a stage-by-stage visualizer.
+  pipeline: { label: 'Pipeline', prism: 'javascript', aliases: ['aggregation'] },
+  // Questions in YAML rendered as an interactive quiz (see lib/quiz.block.js).
+  quiz: { label: 'Quiz', prism: 'yaml', aliases: [] },
+  // Diagrams: mermaid source drawn as SVG, and ├──/└── outlines shown as
+  // collapsible trees. Untagged blocks shaped like a tree are detected.
+  mermaid: { label: 'Mermaid', prism: null, aliases: [] },
+  tree: { label: 'Tree', prism: null, aliases: ['outline'] },
+  javascript: { label: 'JavaScript', prism: 'javascript', aliases: ['js', 'node', 'nodejs', 'jsx'] },
+  typescript: { label: 'TypeScript', prism: 'typescript', aliases: ['ts'] },
+  bash: { label: 'Shell', prism: 'bash', aliases: ['shell', 'sh', 'zsh', 'console', 'terminal'] },
+  python: { label: 'Python', prism: 'python', aliases: ['py', 'python3'] },
+  cpp: { label: 'C++', prism: 'cpp', aliases: ['c++', 'cc', 'cxx', 'hpp'] },
+  c: { label: 'C', prism: 'c', aliases: ['h'] },
+  java: { label: 'Java', prism: 'java', aliases: [] },
+  go: { label: 'Go', prism: 'go', aliases: ['golang'] },
+  csharp: { label: 'C#', prism: 'csharp', aliases: ['cs', 'c#', 'dotnet'] },
+  json: { label: 'JSON', prism: 'json', aliases: ['jsonc', 'json5'] },
+  yaml: { label: 'YAML', prism: 'yaml', aliases: ['yml'] },
+  ini: { label: 'INI', prism: 'ini', aliases: ['conf', 'cfg', 'toml'] },
+  sql: { label: 'SQL', prism: 'sql', aliases: [] },
+  docker: { label: 'Dockerfile', prism: 'docker', aliases: ['dockerfile'] },
+  text: { label: 'Text', prism: null, aliases: ['plaintext', 'txt', 'code', 'none'] },
+};
+
+const aliasMap = Object.entries(languages).reduce((map, [id, { aliases }]) => {
+  map[id] = id;
+  aliases.forEach((alias) => {
+    map[alias] = id;
+  });
+  return map;
+}, {});
+
+const SHELL_COMMAND =
+  /^\s*(\$\s+)?(\.\/)?(sudo|mongod|mongos|mongodump|mongorestore|mongoexport|mongoimport|mongostat|mongotop|brew|apt|apt-get|yum|dnf|curl|wget|cd|ls|echo|export|systemctl|service|npm|npx|pip|pip3|git|docker|kubectl|kill|tar|mkdir|chmod|chown|cat|tail|grep|gdb|perf|iostat|vmstat|top|openssl|scons|ulimit|sysctl|numactl|ps|rm|cp|mv|ln|source)\b/;
+const MONGOSH_LINE =
+  /(\bdb\.|\brs\.|\bsh\.|\bObjectId\(|\bISODate\(|\bNumberDecimal\(|\bprintjson\(|=>|\b(const|let|var|function|await|return)\b|^\s*(use|show)\s+\w+\s*$|^\s*[{}[\]]|^\s*\w+:\s)/;
+const PYTHON_LINE = /^\s*(def |import |from \S+ import |class \w+.*:$|print\(|if __name__)/;
+const CPP_LINE = /^\s*(#include|namespace |template\s*<|std::|class \w+\s*(:|\{)|(void|int|bool|auto)\s+\w+\s*\()/;
+const YAML_LINE = /^\s*(-\s+)?[\w.-]+:(\s+[^{[\s].*)?$/;
+const DIAGRAM_CHARS = /[│├└┌┐┘┬┴┼─→←↓↑]/;
+
+const codeLines = (code) =>
+  code
+    .split('\n')
+    .filter((line) => line.trim() && !/^\s*(#|\/\/)/.test(line));
+
+/**
+ * Scores a block that is tagged as shell: blocks where mongosh statements
+ * outnumber shell commands are mongosh sessions, not shell scripts.
+ */
+export const looksLikeMongosh = (code) => {
+  let mongosh = 0;
+  let shell = 0;
+  codeLines(code).forEach((line) => {
+    if (SHELL_COMMAND.test(line)) shell++;
+    else if (MONGOSH_LINE.test(line)) mongosh++;
+  });
+  return mongosh > shell;
+};
+
+/**
+ * Best guess for a fence with no language tag.
+ */
+export const detectLanguage = (code) => {
+  const trimmed = code.trim();
+  if (!trimmed) return 'text';
+  if (DIAGRAM_CHARS.test(trimmed)) return parseAsciiTree(trimmed) ? 'tree' : 'text';
+
+  try {
+    JSON.parse(trimmed);
+    return 'json';
+  } catch {
+    // not JSON, keep guessing
+  }
+
+  const lines = codeLines(trimmed);
+  if (lines.length === 0) return 'text';
+
+  const share = (pattern) => lines.filter((line) => pattern.test(line)).length / lines.length;
+
+  if (share(CPP_LINE) > 0.2) return 'cpp';
+  if (share(PYTHON_LINE) > 0.2) return 'python';
+  if (share(SHELL_COMMAND) > 0.5) return 'bash';
+  if (share(/\bdb\.|\brs\.|\bsh\./) > 0 && looksLikeMongosh(trimmed)) return 'mongosh';
+  if (share(/[;{}()]|=>/) > 0.5) return 'javascript';
+  if (share(YAML_LINE) > 0.8) return 'yaml';
+
+  return 'text';
+};
+
+/**
+ * Maps a fence tag (possibly an alias, possibly missing) plus the block's
+ * source to an entry of `languages`, returned with its id.
+ */
+export const resolveLanguage = (tag, code = '') => {
+  const normalized = tag ? tag.toLowerCase() : '';
+  let id = aliasMap[normalized];
+
+  if (!normalized) {
+    id = detectLanguage(code);
+  } else if (id === 'bash' && looksLikeMongosh(code)) {
+    id = 'mongosh';
+  }
+
+  if (!id) {
+    return { id: normalized, label: tag, prism: null };
+  }
+
+  return { id, ...languages[id] };
+};
@@ -0,0 +1,30 @@
+import { useSyncExternalStore } from 'react';
+
+const STORAGE_KEY = 'codeTab';
+const CHANGE_EVENT = 'codeTab:change';
+
+const read = () => localStorage.getItem(STORAGE_KEY);
+
+const subscribe = (listener) => {
+  const handleStorage = (e) => {
+    if (e.key === STORAGE_KEY) listener();
+  };
+  window.addEventListener(CHANGE_EVENT, listener);
+  window.addEventListener('storage', handleStorage);
+  return () => {
+    window.removeEventListener(CHANGE_EVENT, listener);
+    window.removeEventListener('storage', handleStorage);
+  };
+};
+
+/**
+ * The tab label (e.g. "Node.js") the reader last picked in any code group.
+ * Every group on every page opens on it when it has that tab. Null until a
+ * tab is picked, and during server rendering.
+ */
+export const usePreferredTab = () => useSyncExternalStore(subscribe, read, () => null);
+
+export const setPreferredTab = (label) => {
+  localStorage.setItem(STORAGE_KEY, label);
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+};
@@ -0,0 +1,136 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Matches the `lg` breakpoint, where both sidebars are shown in place.
+export const DESKTOP_QUERY = '(min-width: 1024px)';
+
+export const useMediaQuery = (query, serverValue = true) =>
+  useSyncExternalStore(
+    (listener) => {
+      const media = window.matchMedia(query);
+      media.addEventListener('change', listener);
+      return () => media.removeEventListener('change', listener);
+    },
+    () => window.matchMedia(query).matches,
+    () => serverValue
+  );
+
+/**
+ * While `active`, keeps Tab/Shift+Tab inside `containerRef`, closes on
+ * Escape, and hands focus back to whatever had it when the trap ends.
+ */
+export const useFocusTrap = (containerRef, active, onEscape) => {
+  const onEscapeRef = useRef(onEscape);
+
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  });
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!active || !container) return;
+
+    const previouslyFocused = document.activeElement;
+    const focusable = () =>
+      [...container.querySelectorAll(FOCUSABLE)].filter(
+        (element) => element.getClientRects().length > 0
+      );
+
+    focusable()[0]?.focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onEscapeRef.current?.();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const items = focusable();
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      previouslyFocused?.focus?.();
+    };
+  }, [containerRef, active]);
+};
+
+/**
+ * While `active`, calls `onDismiss` when the user swipes `containerRef` in
+ * `direction` ('left', 'right', 'up' or 'down') by at least `threshold`
+ * pixels. Pass the open state as `active` for containers that only render
+ * while open, so the listeners attach once the element exists.
+ */
+export const useSwipeToDismiss = (containerRef, active, direction, onDismiss, threshold = 60) => {
+  const onDismissRef = useRef(onDismiss);
+
+  useEffect(() => {
+    onDismissRef.current = onDismiss;
+  });
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!active || !container) return;
+
+    let start = null;
+
+    const handleTouchStart = (e) => {
+      const touch = e.touches[0];
+      start = { x: touch.clientX, y: touch.clientY };
+    };
+
+    const handleTouchEnd = (e) => {
+      if (!start) return;
+      const touch = e.changedTouches[0];
+      const dx = touch.clientX - start.x;
+      const dy = touch.clientY - start.y;
+      start = null;
+
+      const horizontal = Math.abs(dx) > Math.abs(dy);
+      const swiped =
+        (direction === 'left' && horizontal && dx < -threshold) ||
+        (direction === 'right' && horizontal && dx > threshold) ||
+        (direction === 'up' && !horizontal && dy < -threshold) ||
+        (direction === 'down' && !horizontal && dy > threshold);
+
+      if (swiped) onDismissRef.current?.();
+    };
+
+    container.addEventListener('touchstart', handleTouchStart, { passive: true });
+    container.addEventListener('touchend', handleTouchEnd, { passive: true });
+    return () => {
+      container.removeEventListener('touchstart', handleTouchStart);
+      container.removeEventListener('touchend', handleTouchEnd);
+    };
+  }, [containerRef, active, direction, threshold]);
+};
+
+// Stops the page behind an open drawer or sheet from scrolling.
+export const useScrollLock = (active) => {
+  useEffect(() => {
+    if (!active) return;
+    const { overflow } = document.body.style;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = overflow;
+    };
+  }, [active]);
+};
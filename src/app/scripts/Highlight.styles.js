@@ -0,0 +1,17 @@
+// `::highlight()` rules are added at runtime: the CSS parser in the build
+// rejects the pseudo-element, so they can't live in globals.css.
+const injected = new Set();
+
+/**
+ * Adds the `::highlight(name)` rule with `declarations` to the page once.
+ * Only call it where the CSS Custom Highlight API exists.
+ */
+export const addHighlightStyle = (name, declarations) => {
+  if (injected.has(name)) return;
+  injected.add(name);
+
+  const style = document.createElement('style');
+  style.dataset.highlight = name;
+  style.textContent = `::highlight(${name}) { ${declarations} }`;
+  document.head.append(style);
+};
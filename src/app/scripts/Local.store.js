@@ -0,0 +1,50 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * A JSON object kept in localStorage under `key`, shared by every component
+ * that reads it and kept in step across tabs. Stored fields are merged over
+ * `fallback`, which is also what the server and an unreadable entry give.
+ *
+ * Returns `read()` and `write(value)` for the store's own helpers and a
+ * `useValue()` hook for components.
+ */
+export const createLocalStore = (key, fallback) => {
+  const changeEvent = `${key}:change`;
+  let cache = null;
+
+  const read = () => {
+    if (cache) return cache;
+    try {
+      cache = { ...fallback, ...JSON.parse(localStorage.getItem(key)) };
+    } catch (e) {
+      console.error(`Failed to parse ${key}:`, e);
+      cache = fallback;
+    }
+    return cache;
+  };
+
+  const write = (value) => {
+    cache = value;
+    localStorage.setItem(key, JSON.stringify(value));
+    window.dispatchEvent(new Event(changeEvent));
+  };
+
+  const subscribe = (listener) => {
+    const handleStorage = (e) => {
+      if (e.key === key) {
+        cache = null;
+        listener();
+      }
+    };
+    window.addEventListener(changeEvent, listener);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener(changeEvent, listener);
+      window.removeEventListener('storage', handleStorage);
+    };
+  };
+
+  const useValue = () => useSyncExternalStore(subscribe, read, () => fallback);
+
+  return { read, write, useValue };
+};
@@ -0,0 +1,254 @@
+import { Cursor, MongoError, ObjectId, toExtendedJson } from '../lib/mongo.engine';
+
+// Documents printed per cursor, as mongosh does before asking for "it".
+const BATCH_SIZE = 20;
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+// Characters after which a `/` starts a regex literal rather than division.
+const REGEX_PREFIX = /[(,=:[!&|?{};+\-*%<>~^]$/;
+const DECLARATION = /^(const|let|var|function|async\s+function|class|if|for|while|do|switch|try|throw|return|break|continue)\b/;
+const CONTINUES_AFTER = /[,.([{=+\-*/%&|?:!<>]$/;
+const CONTINUES_BEFORE = /^([.)\]},?:+*/%&|=<>]|else\b|catch\b|finally\b)/;
+const SHELL_COMMAND = /^(use|show)\s+\S+$|^it$/;
+const RUNNABLE = /\bdb\.\w/;
+const UNSUPPORTED = /is not (a function|defined)$/;
+
+// Walks `code` once, calling `onChar(char, index, depth)` for every
+// character outside strings, template literals, regexes and comments;
+// comments are replaced by spaces so line structure is kept.
+const scan = (code, onChar = () => {}) => {
+  let output = '';
+  let depth = 0;
+  let i = 0;
+
+  const copyQuoted = (quote) => {
+    const start = i;
+    i++;
+    while (i < code.length && code[i] !== quote) {
+      if (code[i] === '\\') i++;
+      if (quote !== '`' && code[i] === '\n') break;
+      i++;
+    }
+    i++;
+    output += code.slice(start, i);
+  };
+
+  while (i < code.length) {
+    const char = code[i];
+    const next = code[i + 1];
+
+    if (char === '/' && next === '/') {
+      while (i < code.length && code[i] !== '\n') {
+        output += ' ';
+        i++;
+      }
+    } else if (char === '/' && next === '*') {
+      const end = code.indexOf('*/', i + 2);
+      const stop = end === -1 ? code.length : end + 2;
+      output += code.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop;
+    } else if (char === '"' || char === "'" || char === '`') {
+      copyQuoted(char);
+    } else if (char === '/' && (REGEX_PREFIX.test(output.trimEnd()) || !output.trim())) {
+      const start = i;
+      let inClass = false;
+      i++;
+      while (i < code.length && code[i] !== '\n' && (code[i] !== '/' || inClass)) {
+        if (code[i] === '\\') i++;
+        else if (code[i] === '[') inClass = true;
+        else if (code[i] === ']') inClass = false;
+        i++;
+      }
+      i++;
+      while (/[a-z]/i.test(code[i] || '')) i++;
+      output += code.slice(start, i);
+    } else {
+      if ('([{'.includes(char)) depth++;
+      if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+      onChar(char, output.length, depth);
+      output += char;
+      i++;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Splits a mongosh snippet into top-level statements, the way the shell
+ * reads them: a statement ends at `;`, or at a line break when its brackets
+ * are balanced and the next line doesn't continue it (`.sort()` chains).
+ */
+export const splitStatements = (code) => {
+  const breaks = [];
+  const stripped = scan(code, (char, index, depth) => {
+    if (depth === 0 && (char === ';' || char === '\n')) breaks.push(index);
+  });
+
+  const statements = [];
+  let start = 0;
+  for (const index of breaks) {
+    const current = stripped.slice(start, index).trim();
+    const rest = stripped.slice(index + 1).trimStart();
+
+    if (
+      stripped[index] === '\n' &&
+      current &&
+      (CONTINUES_AFTER.test(current) || CONTINUES_BEFORE.test(rest))
+    ) {
+      continue;
+    }
+    if (current) statements.push(current);
+    start = index + 1;
+  }
+
+  const last = stripped.slice(start).trim();
+  if (last) statements.push(last);
+  return statements;
+};
+
+const formatValue = (value) => {
+  if (typeof value === 'string') return value;
+  if (value instanceof Cursor) {
+    const docs = value.toArray();
+    const shown = JSON.stringify(toExtendedJson(docs.slice(0, BATCH_SIZE)), null, 2);
+    return docs.length > BATCH_SIZE
+      ? `${shown}\n// ${docs.length - BATCH_SIZE} more documents not shown`
+      : shown;
+  }
+  return JSON.stringify(toExtendedJson(value), null, 2);
+};
+
+const formatError = (error) => {
+  if (error instanceof MongoError) {
+    return `${error.name}${error.code ? `[${error.code}]` : ''}: ${error.message}`;
+  }
+  const hint = UNSUPPORTED.test(error.message)
+    ? ' (the in-browser playground covers CRUD, indexes and aggregation, not server administration)'
+    : '';
+  return `${error.name || 'Error'}: ${error.message}${hint}`;
+};
+
+// Only snippets that talk to a collection get a Run button; example
+// documents and connection strings are left alone.
+export const isRunnable = (code) => RUNNABLE.test(code);
+
+// Value constructors mongosh provides as globals.
+const shellConstructors = {
+  ObjectId: function (hex) {
+    return new ObjectId(hex);
+  },
+  ISODate: (value) => (value === undefined ? new Date() : new Date(value)),
+  NumberInt: (value) => Math.trunc(Number(value)),
+  NumberLong: (value) => Math.trunc(Number(value)),
+  NumberDecimal: (value) => Number(value),
+};
+
+// `db.users` reads collection "users"; methods and fields of the database
+// itself win, as they do in mongosh.
+const createShellDb = (database) =>
+  new Proxy(database, {
+    get(target, prop) {
+      if (typeof prop !== 'string' || prop === 'then') return undefined;
+      if (prop in target) {
+        const value = target[prop];
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+      return target.getCollection(prop);
+    },
+  });
+
+const runShellCommand = (command, database) => {
+  const [name, argument] = command.split(/\s+/);
+  if (name === 'use') {
+    database.name = argument;
+    return `switched to db ${argument}`;
+  }
+  if (name === 'it') return 'no cursor';
+  if (argument === 'collections' || argument === 'tables') {
+    return database.getCollectionNames().join('\n');
+  }
+  if (argument === 'dbs' || argument === 'databases') {
+    return `${database.getName()}  (in-memory)`;
+  }
+  throw new MongoError(`Don't know how to show ${argument}`);
+};
+
+/**
+ * Runs a mongosh snippet against an in-memory Database. Every top-level
+ * expression's value is reported, awaited like in the shell, along with anything
+ * passed to print()/printjson(). Returns `[{ kind, text }]` where kind is
+ * 'result', 'print' or 'error'; execution stops at the first error.
+ */
+export const runShell = async (code, database) => {
+  const output = [];
+  const emit = (value) => {
+    if (value === undefined || typeof value === 'function') return;
+    output.push({ kind: 'result', text: formatValue(value) });
+  };
+  const print = (...values) =>
+    output.push({ kind: 'print', text: values.map(formatValue).join(' ') });
+
+  const body = splitStatements(code)
+    .map((statement) => {
+      if (SHELL_COMMAND.test(statement)) {
+        return `__emit(__command(${JSON.stringify(statement)}));`;
+      }
+      if (DECLARATION.test(statement) || statement.startsWith('{')) {
+        return `${statement};`;
+      }
+      return `__emit(await (${statement}));`;
+    })
+    .join('\n');
+
+  const helpers = {
+    db: createShellDb(database),
+    ...shellConstructors,
+    print,
+    printjson: (value) => output.push({ kind: 'print', text: formatValue(value) }),
+    console: { log: print, info: print, warn: print, error: print },
+    __emit: emit,
+    __command: (command) => runShellCommand(command, database),
+  };
+
+  try {
+    const run = new AsyncFunction(...Object.keys(helpers), body);
+    await run(...Object.values(helpers));
+  } catch (error) {
+    output.push({ kind: 'error', text: formatError(error) });
+  }
+
+  return output;
+};
+
+/**
+ * Reads the single `db.<collection>.aggregate([...])` call in a pipeline
+ * block without running it. Returns `{ collection, stages }`; throws when the
+ * block holds anything else.
+ */
+export const parsePipeline = (code) => {
+  const calls = [];
+  const collection = (name) => ({
+    aggregate: (stages = []) => calls.push({ collection: name, stages }),
+  });
+  const db = new Proxy(
+    {},
+    {
+      get: (target, prop) => {
+        if (prop === 'getCollection') return collection;
+        return typeof prop === 'string' && prop !== 'then' ? collection(prop) : undefined;
+      },
+    }
+  );
+
+  new Function('db', ...Object.keys(shellConstructors), code)(
+    db,
+    ...Object.values(shellConstructors)
+  );
+
+  if (calls.length !== 1 || !Array.isArray(calls[0].stages)) {
+    throw new Error('A pipeline block must contain exactly one db.<collection>.aggregate([...]) call');
+  }
+  return calls[0];
+};
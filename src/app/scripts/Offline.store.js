@@ -0,0 +1,131 @@
+import { useSyncExternalStore } from 'react';
+
+const CHANGE_EVENT = 'offline:change';
+
+// `levels` maps a level id to `{ status, done, total }`, where status is
+// 'missing' (some pages aren't cached), 'downloading' or 'saved'.
+const SERVER_STATE = { ready: false, online: true, updateReady: false, levels: {} };
+let state = SERVER_STATE;
+let registration = null;
+let started = null;
+
+const update = (patch) => {
+  state = { ...state, ...patch };
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+};
+
+const setLevel = (id, patch) =>
+  update({ levels: { ...state.levels, [id]: { ...state.levels[id], ...patch } } });
+
+const subscribe = (listener) => {
+  window.addEventListener(CHANGE_EVENT, listener);
+  return () => window.removeEventListener(CHANGE_EVENT, listener);
+};
+
+/**
+ * Offline status: `ready` once a service worker controls the site, `online`,
+ * `updateReady` when a newer build is waiting, and per-level download state.
+ */
+export const useOffline = () => useSyncExternalStore(subscribe, () => state, () => SERVER_STATE);
+
+const watchForUpdate = (worker) => {
+  worker.addEventListener('statechange', () => {
+    // An installed worker with one already in charge is a new build waiting.
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+      update({ updateReady: true });
+    }
+  });
+};
+
+const register = async () => {
+  const handleConnection = () => {
+    update({ online: navigator.onLine });
+    if (navigator.onLine) registration?.update().catch(() => {});
+  };
+  window.addEventListener('online', handleConnection);
+  window.addEventListener('offline', handleConnection);
+  update({ online: navigator.onLine });
+
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  try {
+    registration = await navigator.serviceWorker.register('/sw.js');
+  } catch (e) {
+    console.error('Failed to register the service worker:', e);
+    return;
+  }
+
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    update({ updateReady: true });
+  }
+  registration.addEventListener('updatefound', () => watchForUpdate(registration.installing));
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (state.updateReady && !reloading) {
+      reloading = true;
+      window.location.reload();
+    }
+  });
+
+  await navigator.serviceWorker.ready;
+  update({ ready: true });
+};
+
+/**
+ * Registers /sw.js (production builds only, so development never serves
+ * stale pages) and keeps the online/update flags current. Safe to call more
+ * than once.
+ */
+export const registerServiceWorker = () => (started ||= register());
+
+/** Lets the waiting worker take over; the page reloads once it has. */
+export const applyUpdate = () => {
+  registration?.waiting?.postMessage({ type: 'skip-waiting' });
+};
+
+/** Checks which of each level's pages (`{ [id]: urls }`) are cached. */
+export const refreshLevelStatus = async (levels) => {
+  const entries = await Promise.all(
+    Object.entries(levels).map(async ([id, urls]) => {
+      const cached = await Promise.all(urls.map((url) => caches.match(url)));
+      return [id, cached.filter(Boolean).length, urls.length];
+    })
+  );
+
+  for (const [id, done, total] of entries) {
+    if (state.levels[id]?.status === 'downloading') continue;
+    setLevel(id, { status: done === total ? 'saved' : 'missing', done, total });
+  }
+};
+
+/**
+ * Asks the service worker to (re)download a level's pages and their assets,
+ * updating progress as each page lands. Resolves with the URLs that failed.
+ */
+export const downloadLevel = (id, urls) =>
+  new Promise((resolve) => {
+    const worker = navigator.serviceWorker?.controller || registration?.active;
+    if (!worker) {
+      resolve(urls);
+      return;
+    }
+
+    const channel = new MessageChannel();
+    setLevel(id, { status: 'downloading', done: 0, total: urls.length });
+
+    channel.port1.onmessage = ({ data }) => {
+      const finished = data.done === data.total;
+      setLevel(id, {
+        status: finished ? (data.failed.length ? 'missing' : 'saved') : 'downloading',
+        done: finished ? data.total - data.failed.length : data.done,
+        total: data.total,
+      });
+      if (finished) {
+        channel.port1.close();
+        resolve(data.failed);
+      }
+    };
+
+    worker.postMessage({ type: 'cache-pages', urls }, [channel.port2]);
+  });
@@ -0,0 +1,64 @@
+import { createLocalStore } from './Local.store';
+
+// Scroll depth (percent) at which a topic counts as read.
+export const COMPLETE_AT_PERCENT = 95;
+
+const { read, write, useValue } = createLocalStore('topicProgress', {});
+
+/**
+ * Progress for every topic, keyed by slug ("basic/crud-operations"):
+ * `{ percent, sections, completed, manual }`. `manual` is set once the reader
+ * toggles completion by hand, after which scrolling no longer changes it.
+ */
+export const useProgress = useValue;
+
+export const getTopicProgress = (progress, slug) =>
+  progress[slug] || { percent: 0, sections: [], completed: false, manual: false };
+
+/**
+ * Records how far the reader got. Percent only ever grows and sections are
+ * accumulated; the topic completes itself once it is scrolled to the end or
+ * every section has been reached, unless the reader decided otherwise.
+ */
+export const recordTopicProgress = (slug, { percent, section, totalSections }) => {
+  const progress = read();
+  const current = getTopicProgress(progress, slug);
+
+  const nextPercent = Math.max(current.percent, Math.round(percent));
+  const sections =
+    section && !current.sections.includes(section)
+      ? [...current.sections, section]
+      : current.sections;
+
+  const reachedEnd =
+    nextPercent >= COMPLETE_AT_PERCENT ||
+    (totalSections > 0 && sections.length >= totalSections);
+  const completed = current.manual ? current.completed : current.completed || reachedEnd;
+
+  if (
+    nextPercent === current.percent &&
+    sections === current.sections &&
+    completed === current.completed
+  ) {
+    return;
+  }
+
+  write({ ...progress, [slug]: { ...current, percent: nextPercent, sections, completed } });
+};
+
+export const setTopicCompleted = (slug, completed) => {
+  const progress = read();
+  write({
+    ...progress,
+    [slug]: { ...getTopicProgress(progress, slug), completed, manual: true },
+  });
+};
+
+export const summarizeProgress = (progress, slugs) => {
+  const completed = slugs.filter((slug) => progress[slug]?.completed).length;
+  return {
+    completed,
+    total: slugs.length,
+    percent: slugs.length ? Math.round((completed / slugs.length) * 100) : 0,
+  };
+};
@@ -0,0 +1,35 @@
+import { createLocalStore } from './Local.store';
+
+const { read, write, useValue } = createLocalStore('quizScores', {});
+
+/**
+ * Quiz results keyed by topic slug, then by quiz id:
+ * `{ "basic/crud-operations": { "crud-basics": { correct, total, answers } } }`.
+ * `answers` is what the reader last submitted; a revisited quiz still opens
+ * blank and only shows the last score.
+ */
+export const useQuizScores = useValue;
+
+export const getQuizResult = (scores, slug, quizId) => scores[slug]?.[quizId] || null;
+
+export const recordQuizResult = (slug, quizId, { correct, total, answers }) => {
+  const scores = read();
+  write({
+    ...scores,
+    [slug]: { ...scores[slug], [quizId]: { correct, total, answers } },
+  });
+};
+
+// Totals across every quiz answered on a topic, or null if none was.
+export const summarizeTopicScore = (scores, slug) => {
+  const results = Object.values(scores[slug] || {});
+  if (results.length === 0) return null;
+
+  return results.reduce(
+    (sum, result) => ({
+      correct: sum.correct + result.correct,
+      total: sum.total + result.total,
+    }),
+    { correct: 0, total: 0 }
+  );
+};
@@ -0,0 +1,145 @@
+const SNIPPET_RADIUS = 80;
+const MAX_RESULTS = 20;
+
+let cachedIndex = null;
+
+// Fetches the build-time index once per page load; a failed request is
+// forgotten so the next open retries.
+export const loadSearchIndex = () => {
+  if (!cachedIndex) {
+    cachedIndex = fetch('/search-index.json').then((res) => {
+      if (!res.ok) throw new Error(`Search index request failed: ${res.status}`);
+      return res.json();
+    });
+    cachedIndex.catch(() => {
+      cachedIndex = null;
+    });
+  }
+  return cachedIndex;
+};
+
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const tokenize = (query) =>
+  query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+const countOccurrences = (haystack, needle) => {
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    count++;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+};
+
+const scoreEntry = (entry, tokens, phrase) => {
+  const title = entry.title.toLowerCase();
+  const heading = (entry.heading || '').toLowerCase();
+  const text = entry.text.toLowerCase();
+
+  let score = 0;
+  for (const token of tokens) {
+    const inTitle = countOccurrences(title, token);
+    const inHeading = countOccurrences(heading, token);
+    const inText = countOccurrences(text, token);
+
+    if (inTitle + inHeading + inText === 0) return 0;
+
+    score += inTitle * 10 + inHeading * 5 + Math.min(inText, 10);
+  }
+
+  if (tokens.length > 1) {
+    if (heading.includes(phrase)) score += 20;
+    if (text.includes(phrase)) score += 10;
+  }
+
+  return score;
+};
+
+export const getSnippet = (text, tokens) => {
+  const lower = text.toLowerCase();
+  const index = tokens
+    .map((token) => lower.indexOf(token))
+    .filter((position) => position !== -1)
+    .sort((a, b) => a - b)[0];
+
+  if (index === undefined) {
+    return text.slice(0, SNIPPET_RADIUS * 2);
+  }
+
+  let start = Math.max(0, index - SNIPPET_RADIUS);
+  let end = Math.min(text.length, index + SNIPPET_RADIUS);
+
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) || end;
+
+  return `${start > 0 ? '… ' : ''}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+};
+
+export const searchIndex = (index, query) => {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return [];
+
+  const phrase = tokens.join(' ');
+
+  return index
+    .map((entry) => ({ entry, score: scoreEntry(entry, tokens, phrase) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS)
+    .map(({ entry }) => ({
+      ...entry,
+      snippet: getSnippet(entry.text, tokens),
+    }));
+};
+
+/**
+ * Scores how well `query` fuzzily matches `text`: every query character must
+ * appear in order. Substring matches beat scattered ones, and matches at the
+ * start of a word or run of consecutive characters score higher. 0 means no
+ * match.
+ */
+export const fuzzyScore = (query, text) => {
+  const q = query.toLowerCase().trim();
+  const t = text.toLowerCase();
+  if (!q) return 1;
+
+  const substring = t.indexOf(q);
+  if (substring !== -1) {
+    const atWordStart = substring === 0 || /\W/.test(t[substring - 1]);
+    return 1000 - substring + (atWordStart ? 500 : 0);
+  }
+
+  let score = 0;
+  let streak = 0;
+  let position = 0;
+  for (const char of q) {
+    if (char === ' ') continue;
+    const found = t.indexOf(char, position);
+    if (found === -1) return 0;
+
+    streak = found === position ? streak + 1 : 0;
+    const atWordStart = found === 0 || /\W/.test(t[found - 1]);
+    score += 1 + streak * 2 + (atWordStart ? 5 : 0);
+    position = found + 1;
+  }
+  return score;
+};
+
+// Groups ranked results by topic, keeping topics in order of their best hit
+// and each topic's sections in rank order.
+export const groupResults = (results) => {
+  const groups = new Map();
+  for (const result of results) {
+    const key = `${result.level}/${result.topic}`;
+    if (!groups.has(key)) {
+      groups.set(key, { key, title: result.title, level: result.level, sections: [] });
+    }
+    groups.get(key).sections.push(result);
+  }
+  return [...groups.values()];
+};
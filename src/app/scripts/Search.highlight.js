@@ -0,0 +1,105 @@
+import { addHighlightStyle } from './Highlight.styles';
+
+const HIGHLIGHT_NAME = 'search-flash';
+const FLASH_DURATION = 2000;
+const WAIT_TIMEOUT = 5000;
+
+const splitUrl = (url) => {
+  const [path, hash = ''] = url.split('#');
+  return { path, hash: decodeURIComponent(hash) };
+};
+
+// Resolves with the rendered article once `path` is the current page, so a
+// match can be flashed right after a client-side navigation.
+const waitForArticle = (path) =>
+  new Promise((resolve) => {
+    const started = performance.now();
+
+    const check = () => {
+      const article = document.querySelector('.markdown-content');
+      if (window.location.pathname === path && article) {
+        resolve(article);
+      } else if (performance.now() - started < WAIT_TIMEOUT) {
+        requestAnimationFrame(check);
+      } else {
+        resolve(null);
+      }
+    };
+
+    check();
+  });
+
+// Finds the first occurrence of any token in the text between `heading` and
+// the next heading; without a heading the whole article is searched.
+const findMatch = (article, heading, tokens) => {
+  const headings = [...article.querySelectorAll('[data-heading]')];
+  const next = heading ? headings[headings.indexOf(heading) + 1] : null;
+
+  const walker = document.createTreeWalker(article, NodeFilter.SHOW_TEXT);
+  if (heading) walker.currentNode = heading;
+
+  let node = walker.nextNode();
+  while (node && heading?.contains(node)) node = walker.nextNode();
+
+  while (node) {
+    if (next && next.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING) {
+      return null;
+    }
+
+    const lower = node.textContent.toLowerCase();
+    for (const token of tokens) {
+      const index = lower.indexOf(token);
+      if (index !== -1) {
+        const range = document.createRange();
+        range.setStart(node, index);
+        range.setEnd(node, index + token.length);
+        return range;
+      }
+    }
+
+    node = walker.nextNode();
+  }
+
+  return null;
+};
+
+/**
+ * After navigating to a search result, scrolls the first match for `tokens`
+ * within the result's section into view and briefly flashes it. Falls back
+ * to flashing the section heading when the text can't be found.
+ */
+export const flashSearchMatch = async (url, tokens) => {
+  const { path, hash } = splitUrl(url);
+  const article = await waitForArticle(path);
+  if (!article) return;
+
+  const heading = hash ? document.getElementById(hash) : null;
+  const range = tokens.length > 0 ? findMatch(article, heading, tokens) : null;
+  const target = range ? range.startContainer.parentElement : heading;
+  if (!target) return;
+
+  flashRange(target, range);
+};
+
+/**
+ * Scrolls `target` into view and briefly flashes it, plus `range` inside it
+ * when given.
+ */
+export const flashRange = (target, range) => {
+  target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  // Animations and highlight ranges leave the React-managed DOM untouched.
+  target.animate(
+    [
+      { backgroundColor: 'var(--doc-flash)' },
+      { backgroundColor: 'transparent' },
+    ],
+    { duration: FLASH_DURATION, easing: 'ease-out' }
+  );
+
+  if (range && window.CSS?.highlights) {
+    addHighlightStyle(HIGHLIGHT_NAME, 'background-color: rgb(250 204 21); color: #111827;');
+    CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(range));
+    setTimeout(() => CSS.highlights.delete(HIGHLIGHT_NAME), FLASH_DURATION);
+  }
+};
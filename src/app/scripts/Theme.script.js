@@ -0,0 +1,13 @@
+export const THEME_STORAGE_KEY = 'theme';
+
+// Runs inline in <head> before the first paint so a saved or system dark
+// theme never flashes light. Keep it dependency-free and ES5-safe.
+export const themeScript = `(function () {
+  try {
+    var theme = localStorage.getItem('${THEME_STORAGE_KEY}') || 'system';
+    var dark = theme === 'dark' ||
+      (theme === 'system' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+    document.documentElement.classList.toggle('dark', dark);
+    document.documentElement.style.colorScheme = dark ? 'dark' : 'light';
+  } catch (e) {}
+})();`;
@@ -0,0 +1,76 @@
+import { useSyncExternalStore } from 'react';
+import { THEME_STORAGE_KEY } from './Theme.script';
+
+const CHANGE_EVENT = 'theme:change';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+export const THEMES = ['light', 'dark', 'system'];
+
+const readTheme = () => {
+  const saved = localStorage.getItem(THEME_STORAGE_KEY);
+  return THEMES.includes(saved) ? saved : 'system';
+};
+
+const resolve = (theme) =>
+  theme === 'system'
+    ? window.matchMedia(DARK_QUERY).matches
+      ? 'dark'
+      : 'light'
+    : theme;
+
+const apply = (theme) => {
+  const resolved = resolve(theme);
+  document.documentElement.classList.toggle('dark', resolved === 'dark');
+  document.documentElement.style.colorScheme = resolved;
+};
+
+const subscribe = (listener) => {
+  const media = window.matchMedia(DARK_QUERY);
+  const handleSystemChange = () => {
+    if (readTheme() === 'system') {
+      apply('system');
+      listener();
+    }
+  };
+  const handleStorage = (e) => {
+    if (e.key === THEME_STORAGE_KEY) {
+      apply(readTheme());
+      listener();
+    }
+  };
+
+  window.addEventListener(CHANGE_EVENT, listener);
+  window.addEventListener('storage', handleStorage);
+  media.addEventListener('change', handleSystemChange);
+  return () => {
+    window.removeEventListener(CHANGE_EVENT, listener);
+    window.removeEventListener('storage', handleStorage);
+    media.removeEventListener('change', handleSystemChange);
+  };
+};
+
+export const setTheme = (theme) => {
+  localStorage.setItem(THEME_STORAGE_KEY, theme);
+  apply(theme);
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+};
+
+// Flips between light and dark from whatever is showing now.
+export const toggleTheme = () => {
+  setTheme(resolve(readTheme()) === 'dark' ? 'light' : 'dark');
+};
+
+/**
+ * The saved preference (`light`, `dark` or `system`) and what it currently
+ * resolves to. The server snapshot is `system`/`light`; the inline head
+ * script has already applied the real theme before hydration.
+ */
+export const useTheme = () => {
+  const theme = useSyncExternalStore(subscribe, readTheme, () => 'system');
+  const resolvedTheme = useSyncExternalStore(
+    subscribe,
+    () => resolve(readTheme()),
+    () => 'light'
+  );
+  return { theme, resolvedTheme, setTheme };
+};
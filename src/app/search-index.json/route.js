@@ -0,0 +1,7 @@
+import { buildSearchIndex } from "@/app/lib/search.index";
+
+export const dynamic = "force-static";
+
+export function GET() {
+  return Response.json(buildSearchIndex());
+}
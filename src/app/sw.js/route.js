@@ -0,0 +1,41 @@
+import fs from "fs";
+import path from "path";
+import { getNavigation } from "@/app/lib/mark.down";
+
+export const dynamic = "force-static";
+
+// Files cached alongside the pages; the app icons come from ../icon.jsx.
+const OFFLINE_FILES = [
+  "/search-index.json",
+  "/manifest.webmanifest",
+  "/favicon.ico",
+  "/icon/192",
+  "/icon/512",
+];
+
+// Serves service.worker.js with the list of pages to precache. Built once
+// per deploy, so the build time doubles as the cache version: a new build
+// means a new worker and the "updated content available" prompt.
+export function GET() {
+  const offline = {
+    version: Date.now().toString(36),
+    pages: [
+      "/",
+      ...getNavigation().flatMap((section) =>
+        section.children.map((topic) => `/learn/${topic.slug}`)
+      ),
+    ],
+    files: OFFLINE_FILES,
+  };
+  const worker = fs.readFileSync(
+    path.join(process.cwd(), "src/app/sw.js/service.worker.js"),
+    "utf8"
+  );
+
+  return new Response(`const OFFLINE = ${JSON.stringify(offline)};\n\n${worker}`, {
+    headers: {
+      "Content-Type": "text/javascript; charset=utf-8",
+      "Cache-Control": "no-cache",
+    },
+  });
+}
@@ -0,0 +1,166 @@
+// The service worker, served as /sw.js by ./route.js with a
+// `const OFFLINE = { version, pages, files }` line in front. It runs as a
+// plain worker script: nothing here is bundled, so no imports.
+//
+// - Every page in OFFLINE.pages is cached on install together with the
+//   /_next/static files its HTML references, so the whole site reads offline.
+// - Pages are network-first (with a short timeout for bad connections) and
+//   fall back to the cache; /_next/static files are immutable and cache-first;
+//   everything else is stale-while-revalidate.
+// - A new build is a new OFFLINE.version. Its worker waits until the page
+//   asks it to take over ('skip-waiting'), then drops the old cache.
+
+/* global OFFLINE */
+
+const CACHE_PREFIX = 'mongodb-docs-';
+const CACHE = `${CACHE_PREFIX}${OFFLINE.version}`;
+const NETWORK_TIMEOUT = 3000;
+
+// Static files in a page's HTML, including chunk paths in the inline
+// React payload ("static/chunks/...") that load right after hydration.
+const ASSET_PATTERN = /(?:\/_next\/)?(static\/(?:chunks|css|media)\/[^"'\\\s)]+)/g;
+
+const OFFLINE_PAGE = `<!doctype html><meta charset="utf-8"><meta name="viewport" content="width=device-width">
+<title>Offline | MongoDB Documentation</title>
+<body style="font-family:system-ui,sans-serif;max-width:32rem;margin:4rem auto;padding:0 1rem;line-height:1.5">
+<h1>You're offline</h1><p>This page hasn't been saved for offline reading yet.
+Open the sidebar and use the download button next to a level while you're online.</p>
+<p><a href="/">Go to the home page</a></p></body>`;
+
+// Fetches `url` into `cache` along with every static file it references.
+const cachePage = async (cache, url) => {
+  const response = await fetch(url, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+
+  const html = await response.clone().text();
+  await cache.put(url, response);
+
+  const assets = new Set(
+    [...html.matchAll(ASSET_PATTERN)].map(([, asset]) => `/_next/${asset.replace(/&amp;/g, '&')}`)
+  );
+  await Promise.all(
+    [...assets].map(async (asset) => {
+      if (!(await cache.match(asset))) await cache.add(asset).catch(() => {});
+    })
+  );
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE);
+      await cache.addAll(OFFLINE.files);
+      // One page failing shouldn't keep the rest from going offline.
+      await Promise.allSettled(OFFLINE.pages.map((url) => cachePage(cache, url)));
+    })()
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE)
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skip-waiting') {
+    self.skipWaiting();
+    return;
+  }
+
+  // Download a set of pages (a level) again, reporting progress on the
+  // MessageChannel port that came with the message.
+  if (event.data?.type === 'cache-pages') {
+    const [port] = event.ports;
+    const { urls } = event.data;
+
+    event.waitUntil(
+      (async () => {
+        const cache = await caches.open(CACHE);
+        const failed = [];
+        for (const [i, url] of urls.entries()) {
+          try {
+            await cachePage(cache, url);
+          } catch {
+            failed.push(url);
+          }
+          port?.postMessage({ done: i + 1, total: urls.length, failed });
+        }
+      })()
+    );
+  }
+});
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+const networkFirst = async (request) => {
+  const cache = await caches.open(CACHE);
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+  network.catch(() => {});
+
+  const timeout = new Promise((resolve) => setTimeout(resolve, NETWORK_TIMEOUT));
+  const response = await Promise.race([network, timeout]).catch(() => null);
+  if (response) return response;
+
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  return network.catch(
+    () =>
+      new Response(OFFLINE_PAGE, {
+        status: 503,
+        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+      })
+  );
+};
+
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+
+  if (!cached) return network;
+  network.catch(() => {});
+  return cached;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Client-side navigations fetch a React payload (RSC header). Left to the
+  // network: offline, Next.js falls back to a full page load, which the
+  // navigation branch below answers from the cache.
+  if (request.headers.has('RSC')) return;
+
+  if (url.pathname.startsWith('/_next/static/')) {
+    event.respondWith(cacheFirst(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});